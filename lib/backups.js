@@ -0,0 +1,186 @@
+// lib/backups.js — знімки даних (data/backups/<id>): стан БД + маніфест файлів uploads
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const zlib = require("zlib");
+const { Readable, pipeline } = require("stream");
+
+const ID_RE = /^[\w-]{1,80}$/;
+
+/* ---------------------------------- tar ----------------------------------- */
+// мінімальний ustar: лише звичайні файли, імена до 100 символів
+function tarHeader(name, size, mtime) {
+    const h = Buffer.alloc(512);
+    h.write(name, 0, 100, "utf8");
+    h.write("0000644\0", 100, "latin1");
+    h.write("0000000\0", 108, "latin1");
+    h.write("0000000\0", 116, "latin1");
+    h.write(size.toString(8).padStart(11, "0") + "\0", 124, "latin1");
+    h.write(Math.floor(mtime / 1000).toString(8).padStart(11, "0") + "\0", 136, "latin1");
+    h.write("        ", 148, "latin1"); // контрольна сума рахується з пробілами на її місці
+    h.write("0", 156, "latin1");
+    h.write("ustar\0" + "00", 257, "latin1");
+    let sum = 0;
+    for (const b of h) sum += b;
+    h.write(sum.toString(8).padStart(6, "0") + "\0 ", 148, "latin1");
+    return h;
+}
+
+function* tarEntries(files) {
+    for (const { name, file } of files) {
+        const data = fs.readFileSync(file);
+        yield tarHeader(name, data.length, fs.statSync(file).mtimeMs);
+        yield data;
+        if (data.length % 512) yield Buffer.alloc(512 - (data.length % 512));
+    }
+    yield Buffer.alloc(1024); // два порожні блоки — кінець архіву
+}
+
+/* -------------------------------- backups --------------------------------- */
+/**
+ * Знімок — каталог backups/<id>/:
+ *   db.json        — { items, meta } на момент знімка (для будь-якого DB_ENGINE);
+ *   manifest.json  — { id, createdAt, reason, engine, items, uploads: [{ name, size, sha256 }] };
+ *   uploads/       — жорсткі посилання на файли (вони незмінні), тож знімок
+ *                    майже не займає місця і переживає видалення оригіналу GC.
+ * Ротація лишає keep найновіших знімків.
+ */
+function createBackups({ dataDir, uploadDir, keep = 7 }) {
+    const root = path.join(dataDir, "backups");
+    const dirOf = (id) => {
+        if (!ID_RE.test(id || "")) return null;
+        const dir = path.join(root, id);
+        return fs.existsSync(path.join(dir, "manifest.json")) ? dir : null;
+    };
+
+    function list() {
+        if (!fs.existsSync(root)) return [];
+        return fs
+            .readdirSync(root)
+            .map((id) => get(id))
+            .filter(Boolean)
+            .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+    }
+
+    function get(id) {
+        const dir = dirOf(id);
+        if (!dir) return null;
+        try {
+            return JSON.parse(fs.readFileSync(path.join(dir, "manifest.json"), "utf8"));
+        } catch {
+            return null; // недописаний знімок
+        }
+    }
+
+    // файл -> знімок: link, а на іншій ФС (або без підтримки) — копія
+    function linkOrCopy(from, to) {
+        try {
+            fs.linkSync(from, to);
+        } catch {
+            fs.copyFileSync(from, to);
+        }
+    }
+
+    /**
+     * Викликається в черзі мутацій — стан не зміниться посеред запису.
+     * Каталог пишеться під тимчасовим іменем і перейменовується в кінці.
+     * protect — знімок, який ротація не чіпає (той, з якого саме відновлюємось).
+     */
+    function create(store, reason = "manual", { protect = null } = {}) {
+        const now = new Date();
+        const id = `${now.toISOString().replace(/[:.]/g, "-")}-${crypto.randomBytes(2).toString("hex")}`;
+        const tmp = path.join(root, `.${id}.tmp`);
+        fs.mkdirSync(path.join(tmp, "uploads"), { recursive: true });
+
+        fs.writeFileSync(path.join(tmp, "db.json"), JSON.stringify({ items: store.all(), meta: store.meta() }));
+        const uploads = [];
+        if (fs.existsSync(uploadDir)) {
+            for (const name of fs.readdirSync(uploadDir)) {
+                const file = path.join(uploadDir, name);
+                if (!fs.statSync(file).isFile()) continue;
+                const data = fs.readFileSync(file);
+                linkOrCopy(file, path.join(tmp, "uploads", name));
+                uploads.push({ name, size: data.length, sha256: crypto.createHash("sha256").update(data).digest("hex") });
+            }
+        }
+        const manifest = {
+            id,
+            createdAt: now.toISOString(),
+            reason,
+            engine: store.engine,
+            items: store.all().length,
+            uploads,
+        };
+        fs.writeFileSync(path.join(tmp, "manifest.json"), JSON.stringify(manifest, null, 2));
+        fs.renameSync(tmp, path.join(root, id));
+
+        rotate(protect);
+        return manifest;
+    }
+
+    function rotate(protect) {
+        for (const m of list().slice(keep)) if (m.id !== protect) remove(m.id);
+        // обірвані знімки (падіння посеред create)
+        for (const name of fs.readdirSync(root)) if (name.endsWith(".tmp")) fs.rmSync(path.join(root, name), { recursive: true, force: true });
+    }
+
+    function remove(id) {
+        const dir = dirOf(id);
+        if (!dir) return false;
+        fs.rmSync(dir, { recursive: true, force: true });
+        return true;
+    }
+
+    // стан БД зі знімка; null — якщо знімка немає
+    function read(id) {
+        const dir = dirOf(id);
+        if (!dir) return null;
+        const db = JSON.parse(fs.readFileSync(path.join(dir, "db.json"), "utf8"));
+        if (!Array.isArray(db.items)) throw new Error("Snapshot db.json has no items array");
+        return { items: db.items, meta: db.meta && typeof db.meta === "object" ? db.meta : {} };
+    }
+
+    /**
+     * Повертає файли зі знімка в uploadDir: відсутні копіюються, наявні
+     * з іншим вмістом перезаписуються (sha256 з маніфесту). Зайві файли
+     * не чіпаємо — їх прибере GC. dryRun лише рахує. null — знімка вже немає.
+     */
+    function restoreUploads(id, { dryRun = false } = {}) {
+        const dir = dirOf(id);
+        const manifest = dir && get(id);
+        if (!manifest) return null;
+        const report = { restored: 0, missing: [] };
+        for (const f of manifest.uploads) {
+            const src = path.join(dir, "uploads", f.name);
+            const dst = path.join(uploadDir, f.name);
+            if (!fs.existsSync(src)) {
+                report.missing.push(f.name);
+                continue;
+            }
+            const same =
+                fs.existsSync(dst) && crypto.createHash("sha256").update(fs.readFileSync(dst)).digest("hex") === f.sha256;
+            if (same) continue;
+            report.restored++;
+            if (!dryRun) {
+                fs.mkdirSync(uploadDir, { recursive: true });
+                fs.copyFileSync(src, dst);
+            }
+        }
+        return report;
+    }
+
+    // .tar.gz: <id>/manifest.json, <id>/db.json, <id>/uploads/*
+    function archive(id, out, done) {
+        const dir = dirOf(id);
+        const files = ["manifest.json", "db.json"].map((f) => ({ name: `${id}/${f}`, file: path.join(dir, f) }));
+        for (const f of get(id).uploads) {
+            const file = path.join(dir, "uploads", f.name);
+            if (fs.existsSync(file)) files.push({ name: `${id}/uploads/${f.name}`, file });
+        }
+        pipeline(Readable.from(tarEntries(files)), zlib.createGzip(), out, done);
+    }
+
+    return { list, get, create, remove, read, restoreUploads, archive };
+}
+
+module.exports = { createBackups };
@@ -0,0 +1,90 @@
+// lib/changes.js — послідовний журнал змін items (data/changes.log, NDJSON) для SSE та інтеграцій
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Кожен запис: { seq, at, op: "insert" | "update" | "remove", kind, id, item, prev }.
+ * item / prev — повні знімки (з приватними полями): видимість вирішує
+ * споживач для конкретного запиту, тож у журналі лишається все.
+ * У пам'яті — останні retention записів; файл дописується рядком і
+ * переписується хвостом, коли стає вдвічі довшим. seq не скидається
+ * після рестарту — клієнти продовжують з Last-Event-ID.
+ * track(kind) вирішує, які kind'и журналюються (службові — ні).
+ */
+function createChangeLog({ dataDir, retention = 1000, track }) {
+    const file = path.join(dataDir, "changes.log");
+    let entries = [];
+    let seq = 0;
+    let lines = 0;
+    const listeners = new Set();
+
+    function load() {
+        entries = [];
+        lines = 0;
+        if (!fs.existsSync(file)) return;
+        for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+            if (!line.trim()) continue;
+            try {
+                const e = JSON.parse(line);
+                entries.push(e);
+                seq = Math.max(seq, e.seq);
+                lines++;
+            } catch {
+                // обірваний рядок після падіння — пропускаємо
+            }
+        }
+        entries = entries.slice(-retention);
+    }
+
+    function compact() {
+        const t = file + ".tmp";
+        fs.writeFileSync(t, entries.map((e) => JSON.stringify(e)).join("\n") + "\n");
+        fs.renameSync(t, file);
+        lines = entries.length;
+    }
+
+    function append(op, item, prev) {
+        const kind = (item || prev).payload?.kind;
+        if (!kind || !track(kind)) return null;
+        const entry = { seq: ++seq, at: new Date().toISOString(), op, kind, id: (item || prev).id, item: item || null, prev: prev || null };
+        entries.push(entry);
+        if (entries.length > retention) entries.shift();
+        fs.appendFileSync(file, JSON.stringify(entry) + "\n");
+        if (++lines > retention * 2) compact();
+        for (const fn of listeners) {
+            try {
+                fn(entry);
+            } catch (err) {
+                console.error("changes: listener failed:", err);
+            }
+        }
+        return entry;
+    }
+
+    // підписка на store.subscribe; load не журналюється — це не зміна
+    function onChange(change) {
+        if (change.type === "insert") append("insert", change.item, null);
+        else if (change.type === "update") append("update", change.item, change.prev);
+        else if (change.type === "remove") append("remove", null, change.prev);
+    }
+
+    /**
+     * Записи після seq. null — якщо частина вже випала з журналу
+     * (клієнт має перечитати стан повністю).
+     */
+    function since(after) {
+        if (after >= seq) return [];
+        const oldest = entries.length ? entries[0].seq : seq + 1;
+        if (after < oldest - 1) return null;
+        return entries.filter((e) => e.seq > after);
+    }
+
+    function subscribe(fn) {
+        listeners.add(fn);
+        return () => listeners.delete(fn);
+    }
+
+    return { load, onChange, since, subscribe, lastSeq: () => seq };
+}
+
+module.exports = { createChangeLog };
@@ -0,0 +1,190 @@
+// lib/collections.js — реєстр kind'ів: Ajv-схема payload + правила проєкції/власника/сортування
+const { permissionsSchema } = require("./permissions");
+
+const KIND_RE = /^[a-zA-Z][a-zA-Z0-9_-]{1,39}$/;
+
+// опис реєстрації, який надсилає адмін (PUT /collections/:kind/schema)
+const collectionSpecSchema = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        schema: { type: "object" },                                   // Ajv-схема payload
+        publicFields: { type: "array", items: { type: "string", minLength: 1 }, uniqueItems: true },
+        ownerField: { type: "string", minLength: 1, default: "authorId" },
+        defaultSort: { type: "string", pattern: "^-?[A-Za-z_]\\w*(,-?[A-Za-z_]\\w*)*$", default: "-createdAt" },
+        visibilityField: { anyOf: [{ type: "string", minLength: 1 }, { type: "null" }] },
+        filterFields: { type: "array", items: { type: "string", minLength: 1 }, uniqueItems: true },
+        // поля для /search з вагами релевантності: { title: 3, text: 1 }
+        searchFields: { type: "object", additionalProperties: { type: "number", exclusiveMinimum: 0 } },
+        premoderate: { type: "boolean", default: false },             // нові items — pending
+        threaded: { type: "boolean", default: false },                // відповіді через payload.parentId
+        reactions: {                                                  // типи реакцій: ["like", "helpful"]
+            type: "array",
+            items: { type: "string", pattern: "^[a-z][a-z0-9_]{1,19}$" },
+            uniqueItems: true,
+            maxItems: 10,
+        },
+        permissions: permissionsSchema,                               // перевизначення DEFAULT_PERMISSIONS
+    },
+    required: ["schema", "publicFields"],
+};
+
+/**
+ * Реєстр зберігає зареєстровані адміном kind'и у meta.collections.
+ * Вбудовані (comment, userCard) описані в коді і не перевизначаються;
+ * службові kind'и (reserved: user, session, ...) не можна зареєструвати взагалі.
+ */
+function createRegistry({ ajv, store, reserved = [] }) {
+    const defs = new Map();
+    const validateSpec = ajv.compile(collectionSpecSchema);
+
+    // схему payload доповнюємо службовими полями kind + власник
+    function compile(kind, spec) {
+        const ownerField = spec.ownerField || "authorId";
+        const schema = {
+            ...spec.schema,
+            type: "object",
+            properties: {
+                ...(spec.schema.properties || {}),
+                ...(spec.threaded ? { parentId: { type: "string", format: "uuid" } } : {}),
+                kind: { const: kind },
+                [ownerField]: { type: "string", format: "uuid" }, // id акаунта власника
+            },
+            required: [...new Set([...(spec.schema.required || []), "kind", ownerField])],
+        };
+        return {
+            kind,
+            rawSchema: spec.schema,
+            schema,
+            validate: ajv.compile(schema),
+            publicFields: [
+                ...spec.publicFields.filter((f) => f !== ownerField && f !== "kind" && f !== "parentId"),
+                ...(spec.threaded ? ["parentId"] : []),
+            ],
+            ownerField,
+            defaultSort: spec.defaultSort || "-createdAt",
+            visibilityField: spec.visibilityField || null,
+            filterFields: spec.filterFields || [],
+            searchFields: spec.searchFields || null,
+            premoderate: !!spec.premoderate,
+            threaded: !!spec.threaded,
+            reactions: spec.reactions || [],
+            permissions: spec.permissions || null,
+            normalize: spec.normalize || null,
+            redact: spec.redact || null,
+            dedupe: spec.dedupe || null,
+            shareable: !!spec.shareable,
+            check: spec.check || null,
+            builtin: !!spec.builtin,
+        };
+    }
+
+    function define(kind, spec) {
+        defs.set(kind, compile(kind, { ...spec, builtin: true }));
+    }
+
+    function load() {
+        const saved = store.meta().collections || {};
+        // повторне завантаження (після відновлення) не лишає kind'ів зі старого стану
+        for (const def of [...defs.values()]) if (!def.builtin) defs.delete(def.kind);
+        for (const [kind, spec] of Object.entries(saved)) {
+            if (defs.get(kind)?.builtin) continue;
+            try {
+                defs.set(kind, compile(kind, spec));
+            } catch (err) {
+                console.warn(`collections: skipping "${kind}": ${err.message}`);
+            }
+        }
+    }
+
+    function persist() {
+        const saved = {};
+        for (const def of defs.values()) {
+            if (def.builtin) continue;
+            saved[def.kind] = {
+                schema: def.rawSchema,
+                publicFields: def.publicFields,
+                ownerField: def.ownerField,
+                defaultSort: def.defaultSort,
+                visibilityField: def.visibilityField,
+                filterFields: def.filterFields,
+                searchFields: def.searchFields,
+                premoderate: def.premoderate,
+                threaded: def.threaded,
+                reactions: def.reactions,
+                permissions: def.permissions,
+            };
+        }
+        store.setMeta({ collections: saved });
+    }
+
+    /**
+     * Повертає { def } або { errors } у форматі formatAjvErrors.
+     * Ajv може не скомпілювати саму схему — це теж помилка валідації.
+     */
+    function register(kind, body, formatErrors) {
+        if (!KIND_RE.test(kind))
+            return { errors: [{ field: "kind", message: "must match " + KIND_RE, code: "pattern" }] };
+        if (defs.get(kind)?.builtin || reserved.includes(kind))
+            return { errors: [{ field: "kind", message: "Built-in kind cannot be redefined", code: "reserved" }] };
+
+        const spec = { ...body };
+        if (!validateSpec(spec)) return { errors: formatErrors(validateSpec.errors) };
+        if (spec.schema.type !== undefined && spec.schema.type !== "object")
+            return { errors: [{ field: "schema", message: "Payload schema must be of type object", code: "type" }] };
+        // приватні поля не індексуємо — інакше пошук розкриє їх вміст
+        const hidden = Object.keys(spec.searchFields || {}).filter((f) => !spec.publicFields.includes(f));
+        if (hidden.length)
+            return { errors: hidden.map((f) => ({ field: "searchFields", message: `"${f}" is not in publicFields`, code: "field" })) };
+
+        let def;
+        try {
+            def = compile(kind, spec);
+        } catch (err) {
+            return { errors: [{ field: "schema", message: String(err.message || err), code: "schema" }] };
+        }
+        defs.set(kind, def);
+        persist();
+        return { def };
+    }
+
+    function unregister(kind) {
+        const def = defs.get(kind);
+        if (!def || def.builtin) return false;
+        defs.delete(kind);
+        persist();
+        return true;
+    }
+
+    return {
+        define,
+        load,
+        register,
+        unregister,
+        get: (kind) => defs.get(kind) || null,
+        list: () => [...defs.values()],
+    };
+}
+
+/* ------------------------------- helpers ---------------------------------- */
+
+// значення за замовчуванням із схеми (rating: 5, isPublic: false, ...)
+function schemaDefaults(def) {
+    const out = {};
+    for (const [name, prop] of Object.entries(def.schema.properties || {})) {
+        if (prop && prop.default !== undefined) out[name] = prop.default;
+    }
+    return out;
+}
+
+// публічна проєкція payload: лише publicFields, власник ніколи не віддається
+function projectPayload(def, payload) {
+    const defaults = schemaDefaults(def);
+    const out = { kind: def.kind };
+    for (const f of def.publicFields) {
+        out[f] = payload[f] ?? defaults[f] ?? null;
+    }
+    return out;
+}
+
+module.exports = { createRegistry, projectPayload, schemaDefaults, collectionSpecSchema };
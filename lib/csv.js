@@ -0,0 +1,71 @@
+// lib/csv.js — CSV (RFC 4180) для експорту/імпорту items: рядок -> клітинки і назад
+
+/**
+ * Клітинку з =, +, -, @, табуляцією чи \r на початку табличний редактор виконає як формулу
+ * (CSV injection) — на експорті перед нею ставиться ', на імпорті він знімається.
+ * Апострофи, за якими йде такий символ, теж отримують префікс: "'=x" -> "''=x",
+ * тож імпорт повертає рівно те, що було експортовано.
+ */
+const FORMULA = /^'*[=+\-@\t\r]/;
+const escapeFormula = (s) => (FORMULA.test(s) ? `'${s}` : s);
+const unescapeFormula = (s) => (s[0] === "'" && FORMULA.test(s) ? s.slice(1) : s);
+
+// лапки лише там, де потрібно; об'єкти/масиви — JSON у клітинці
+function csvCell(v) {
+    if (v === undefined || v === null) return "";
+    const s = escapeFormula(typeof v === "object" ? JSON.stringify(v) : String(v));
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+const csvRow = (values) => values.map(csvCell).join(",") + "\r\n";
+
+/**
+ * Текст -> масив рядків (масивів клітинок). Підтримує лапки, "" всередині,
+ * переноси рядків у лапках, CRLF і BOM. Порожні рядки пропускаються,
+ * префікс ' перед формулою (див. csvCell) знімається.
+ * Кожен рядок має line — номер рядка файлу, де він починається (для помилок).
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+    let line = 1;
+    let start = 1;
+    const s = text.replace(/^\uFEFF/, "");
+
+    const endCell = () => {
+        row.push(unescapeFormula(cell));
+        cell = "";
+    };
+    const endRow = () => {
+        endCell();
+        if (row.length > 1 || row[0] !== "") rows.push(Object.assign(row, { line: start }));
+        row = [];
+    };
+
+    for (let i = 0; i < s.length; i++) {
+        const c = s[i];
+        if (quoted) {
+            if (c === '"' && s[i + 1] === '"') { cell += '"'; i++; }
+            else if (c === '"') quoted = false;
+            else {
+                if (c === "\n") line++;
+                cell += c;
+            }
+            continue;
+        }
+        if (c === '"' && cell === "") quoted = true;
+        else if (c === ",") endCell();
+        else if (c === "\n" || c === "\r") {
+            if (c === "\r" && s[i + 1] === "\n") i++;
+            endRow();
+            start = ++line;
+        } else cell += c;
+    }
+    if (quoted) throw new Error(`Unterminated quoted field starting on line ${start}`);
+    if (cell !== "" || row.length) endRow();
+    return rows;
+}
+
+module.exports = { csvRow, parseCsv };
@@ -0,0 +1,231 @@
+// lib/images.js — перевірка вмісту зображень, очищення метаданих і зменшені копії
+
+// помилка завантаження: code — для errors[] (type / svg / corrupt / dimensions)
+function imageError(code, message) {
+    return Object.assign(new Error(message), { code });
+}
+
+/* ------------------------------ sniffing ---------------------------------- */
+// тип визначаємо за першими байтами, а не за mimetype від клієнта
+const FORMATS = [
+    { type: "image/jpeg", ext: "jpg", test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    { type: "image/png", ext: "png", test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { type: "image/gif", ext: "gif", test: (b) => /^GIF8[79]a$/.test(b.toString("latin1", 0, 6)) },
+    { type: "image/webp", ext: "webp", test: (b) => b.toString("latin1", 0, 4) === "RIFF" && b.toString("latin1", 8, 12) === "WEBP" },
+    { type: "image/bmp", ext: "bmp", test: (b) => b.toString("latin1", 0, 2) === "BM" && b.length > 26 },
+];
+
+const looksLikeSvg = (b) => /<svg[\s>]/i.test(b.toString("utf8", 0, Math.min(b.length, 4096)));
+
+function sniff(buf) {
+    if (buf.length < 12) return null;
+    return FORMATS.find((f) => f.test(buf)) || null;
+}
+
+/* -------------------------------- JPEG ------------------------------------ */
+// Orientation (0x0112) з IFD0 сегмента Exif; 1 — якщо немає або не читається
+function exifOrientation(seg) {
+    if (seg.toString("latin1", 0, 6) !== "Exif\0\0") return 1;
+    const t = seg.subarray(6);
+    const le = t.toString("latin1", 0, 2) === "II";
+    const u16 = (o) => (le ? t.readUInt16LE(o) : t.readUInt16BE(o));
+    const u32 = (o) => (le ? t.readUInt32LE(o) : t.readUInt32BE(o));
+    try {
+        const ifd = u32(4);
+        const n = u16(ifd);
+        for (let i = 0; i < n; i++) {
+            const e = ifd + 2 + i * 12;
+            if (u16(e) === 0x0112) return u16(e + 8);
+        }
+    } catch {
+        // обрізаний Exif — ігноруємо
+    }
+    return 1;
+}
+
+// мінімальний Exif лише з Orientation — без нього фото з телефона лягають боком
+function orientationSegment(orientation) {
+    const body = Buffer.alloc(6 + 8 + 2 + 12 + 4);
+    body.write("Exif\0\0", 0, "latin1");
+    body.write("MM", 6, "latin1");
+    body.writeUInt16BE(42, 8);
+    body.writeUInt32BE(8, 10);   // IFD0 одразу за заголовком TIFF
+    body.writeUInt16BE(1, 14);   // один запис
+    body.writeUInt16BE(0x0112, 16);
+    body.writeUInt16BE(3, 18);   // SHORT
+    body.writeUInt32BE(1, 20);
+    body.writeUInt16BE(orientation, 24);
+    body.writeUInt32BE(0, 28);   // наступного IFD немає
+    const head = Buffer.from([0xff, 0xe1, 0, 0]);
+    head.writeUInt16BE(body.length + 2, 2);
+    return Buffer.concat([head, body]);
+}
+
+/**
+ * Прибирає APP1 (Exif/XMP: GPS, модель камери), APP13 (IPTC) і коментарі.
+ * APP0 (JFIF), APP2 (ICC-профіль), APP14 (Adobe) лишаються; дані після SOS
+ * копіюються як є, тож перекодування і втрати якості немає.
+ */
+function parseJpeg(buf) {
+    const keep = [buf.subarray(0, 2)];
+    let width = null;
+    let height = null;
+    let orientation = 1;
+    let off = 2;
+    while (off + 4 <= buf.length) {
+        if (buf[off] !== 0xff) throw imageError("corrupt", "Malformed JPEG");
+        const marker = buf[off + 1];
+        if (marker === 0xff) { off++; continue; }                      // заповнювач
+        if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7)) { off += 2; continue; }
+        const len = buf.readUInt16BE(off + 2);
+        const seg = buf.subarray(off, off + 2 + len);
+        if (seg.length < 2 + len) throw imageError("corrupt", "Truncated JPEG");
+
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            height = seg.readUInt16BE(5);
+            width = seg.readUInt16BE(7);
+        }
+        if (marker === 0xe1) orientation = Math.max(orientation, exifOrientation(seg.subarray(4)));
+        if (marker === 0xda) {
+            if (orientation !== 1) keep.push(orientationSegment(orientation));
+            keep.push(buf.subarray(off));
+            break;
+        }
+        if (marker !== 0xe1 && marker !== 0xed && marker !== 0xfe) keep.push(seg);
+        off += 2 + len;
+    }
+    if (!width || !height) throw imageError("corrupt", "JPEG has no frame header");
+    return { data: Buffer.concat(keep), width, height, orientation };
+}
+
+/* --------------------------------- PNG ------------------------------------ */
+// текстові чанки та eXIf можуть містити GPS/автора/софт — решта потрібна для відображення
+const PNG_DROP = new Set(["eXIf", "tEXt", "zTXt", "iTXt", "tIME"]);
+
+function parsePng(buf) {
+    const keep = [buf.subarray(0, 8)];
+    let off = 8;
+    while (off + 12 <= buf.length) {
+        const len = buf.readUInt32BE(off);
+        const type = buf.toString("latin1", off + 4, off + 8);
+        const end = off + 12 + len;
+        if (end > buf.length) throw imageError("corrupt", "Truncated PNG");
+        if (!PNG_DROP.has(type)) keep.push(buf.subarray(off, end));
+        off = end;
+        if (type === "IEND") break;
+    }
+    if (buf.toString("latin1", 12, 16) !== "IHDR") throw imageError("corrupt", "PNG has no IHDR");
+    return { data: Buffer.concat(keep), width: buf.readUInt32BE(16), height: buf.readUInt32BE(20), orientation: 1 };
+}
+
+/* --------------------------------- WebP ----------------------------------- */
+// RIFF: прибираємо чанки EXIF і "XMP " та відповідні прапорці у VP8X
+function parseWebp(buf) {
+    const chunks = [];
+    let width = null;
+    let height = null;
+    let off = 12;
+    while (off + 8 <= buf.length) {
+        const type = buf.toString("latin1", off, off + 4);
+        const len = buf.readUInt32LE(off + 4);
+        const end = off + 8 + len + (len % 2);
+        if (off + 8 + len > buf.length) throw imageError("corrupt", "Truncated WebP");
+        const chunk = Buffer.from(buf.subarray(off, Math.min(end, buf.length)));
+
+        if (type === "VP8X") {
+            chunk[8] &= ~(0x08 | 0x04);
+            width = 1 + chunk.readUIntLE(12, 3);
+            height = 1 + chunk.readUIntLE(15, 3);
+        } else if (type === "VP8 " && width === null) {
+            width = chunk.readUInt16LE(14) & 0x3fff;
+            height = chunk.readUInt16LE(16) & 0x3fff;
+        } else if (type === "VP8L" && width === null) {
+            const bits = chunk.readUInt32LE(9);
+            width = 1 + (bits & 0x3fff);
+            height = 1 + ((bits >> 14) & 0x3fff);
+        }
+        if (type !== "EXIF" && type !== "XMP ") chunks.push(chunk);
+        off = end;
+    }
+    if (!width || !height) throw imageError("corrupt", "WebP has no image data");
+    const body = Buffer.concat(chunks);
+    const head = Buffer.alloc(12);
+    head.write("RIFF", 0, "latin1");
+    head.writeUInt32LE(body.length + 4, 4);
+    head.write("WEBP", 8, "latin1");
+    return { data: Buffer.concat([head, body]), width, height, orientation: 1 };
+}
+
+/* ------------------------------ GIF / BMP --------------------------------- */
+// у GIF/BMP немає Exif — лише розміри
+const parseGif = (buf) => ({ data: buf, width: buf.readUInt16LE(6), height: buf.readUInt16LE(8), orientation: 1 });
+const parseBmp = (buf) => ({ data: buf, width: buf.readInt32LE(18), height: Math.abs(buf.readInt32LE(22)), orientation: 1 });
+
+const PARSERS = { "image/jpeg": parseJpeg, "image/png": parsePng, "image/webp": parseWebp, "image/gif": parseGif, "image/bmp": parseBmp };
+
+/* ------------------------------- pipeline --------------------------------- */
+// sharp — необов'язкова залежність (optionalDependencies); без неї варіантів немає
+function loadSharp() {
+    try {
+        return require("sharp");
+    } catch (err) {
+        // встановлений, але не завантажується (бінарник не під цю платформу) — варто знати чому
+        if (err.code !== "MODULE_NOT_FOUND") console.warn(`images: sharp failed to load (${err.message})`);
+        return null;
+    }
+}
+
+/**
+ * process(buffer) -> { type, ext, width, height, data, variants: [{ width, height, data }] }.
+ * Оригінал зберігається без метаданих, але без перекодування; варіанти —
+ * WebP шириною з sizes (лише менші за оригінал), з урахуванням Orientation.
+ */
+function createImagePipeline({ sizes = [320, 800], maxPixels = 40e6, quality = 80, sharp = loadSharp() } = {}) {
+    async function processImage(buf) {
+        const format = sniff(buf);
+        if (!format) {
+            if (looksLikeSvg(buf)) throw imageError("svg", "SVG images are not allowed");
+            throw imageError("type", "Unsupported image format (allowed: jpeg, png, webp, gif, bmp)");
+        }
+
+        let parsed;
+        try {
+            parsed = PARSERS[format.type](buf);
+        } catch (err) {
+            if (err.code) throw err;
+            throw imageError("corrupt", `Malformed ${format.ext.toUpperCase()} file`);
+        }
+        if (!(parsed.width > 0 && parsed.height > 0) || parsed.width * parsed.height > maxPixels)
+            throw imageError("dimensions", `Image must be at most ${Math.round(maxPixels / 1e6)} megapixels`);
+
+        // 5..8 — повернуто на 90°: для клієнта ширина і висота міняються місцями
+        const rotated = parsed.orientation >= 5 && parsed.orientation <= 8;
+        const width = rotated ? parsed.height : parsed.width;
+        const height = rotated ? parsed.width : parsed.height;
+
+        const variants = [];
+        if (sharp) {
+            for (const size of [...new Set(sizes)].sort((a, b) => a - b)) {
+                if (size >= width) continue;
+                let out;
+                try {
+                    out = await sharp(parsed.data, { limitInputPixels: maxPixels })
+                        .rotate()
+                        .resize({ width: size })
+                        .webp({ quality })
+                        .toBuffer({ resolveWithObject: true });
+                } catch (err) {
+                    // заголовок читається, а самі пікселі — ні
+                    throw imageError("corrupt", `Cannot decode image: ${err.message}`);
+                }
+                variants.push({ width: out.info.width, height: out.info.height, data: out.data });
+            }
+        }
+
+        return { type: format.type, ext: format.ext, width, height, data: parsed.data, variants };
+    }
+
+    return { process: processImage, resizes: !!sharp };
+}
+
+module.exports = { createImagePipeline, sniff, imageError };
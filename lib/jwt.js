@@ -0,0 +1,40 @@
+// lib/jwt.js — мінімальний HS256 JWT на node:crypto (без залежностей)
+const crypto = require("crypto");
+
+const b64 = (obj) => Buffer.from(JSON.stringify(obj)).toString("base64url");
+const hmac = (data, secret) => crypto.createHmac("sha256", secret).update(data).digest("base64url");
+
+function sign(claims, secret, ttlSec) {
+    const now = Math.floor(Date.now() / 1000);
+    const body = `${b64({ alg: "HS256", typ: "JWT" })}.${b64({ iat: now, exp: now + ttlSec, ...claims })}`;
+    return `${body}.${hmac(body, secret)}`;
+}
+
+/**
+ * Повертає claims або кидає Error з code: "token_invalid" | "token_expired".
+ */
+function verify(token, secret) {
+    const fail = (code, message) => Object.assign(new Error(message), { code });
+    const parts = String(token).split(".");
+    if (parts.length !== 3) throw fail("token_invalid", "Malformed token");
+
+    const [h, p, sig] = parts;
+    const expected = Buffer.from(hmac(`${h}.${p}`, secret));
+    const given = Buffer.from(sig);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given))
+        throw fail("token_invalid", "Bad token signature");
+
+    let header, claims;
+    try {
+        header = JSON.parse(Buffer.from(h, "base64url").toString("utf8"));
+        claims = JSON.parse(Buffer.from(p, "base64url").toString("utf8"));
+    } catch {
+        throw fail("token_invalid", "Malformed token");
+    }
+    if (header.alg !== "HS256") throw fail("token_invalid", "Unsupported token algorithm");
+    if (typeof claims.exp !== "number" || claims.exp <= Math.floor(Date.now() / 1000))
+        throw fail("token_expired", "Token expired");
+    return claims;
+}
+
+module.exports = { sign, verify };
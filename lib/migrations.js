@@ -0,0 +1,116 @@
+// lib/migrations.js — нумеровані міграції даних (migrations/NNN-name.js) за meta.version
+const fs = require("fs");
+const path = require("path");
+
+const FILE_RE = /^(\d+)-[\w-]+\.js$/;
+
+/**
+ * Міграція — модуль { description, up(db, ctx) }: змінює db ({ items, meta })
+ * на місці. ctx.quarantine(item, reason) прибирає item з БД у карантин.
+ * Номер у імені файлу — версія даних після міграції; версія 1 — початкова
+ * схема db.json, тож перша міграція має номер 2.
+ */
+function loadMigrations(dir) {
+    if (!fs.existsSync(dir)) return [];
+    const list = fs
+        .readdirSync(dir)
+        .map((file) => ({ file, m: FILE_RE.exec(file) }))
+        .filter(({ m }) => m)
+        .map(({ file, m }) => {
+            const mod = require(path.join(dir, file));
+            if (typeof mod.up !== "function") throw new Error(`Migration ${file} has no up() function`);
+            return { version: parseInt(m[1], 10), name: file.replace(/\.js$/, ""), description: mod.description || "", up: mod.up };
+        })
+        .sort((a, b) => a.version - b.version);
+    list.forEach((m, i) => {
+        if (m.version < 2 || (i && m.version === list[i - 1].version))
+            throw new Error(`Migration ${m.name}: version must be unique and greater than 1`);
+    });
+    return list;
+}
+
+/**
+ * run(db, { validator }) працює з копією і нічого не пише:
+ * -> { from, to, applied: [{ version, name, description }], quarantined: [...], db }.
+ * validator(meta) -> (item) -> errors[] — після міграцій невалідні items теж
+ * ідуть у карантин (без validator — лише ті, що відклала сама міграція).
+ * Виняток у міграції перериває все: дані лишаються як були.
+ */
+function createMigrator({ dir }) {
+    const migrations = loadMigrations(dir);
+    const latest = migrations.length ? migrations[migrations.length - 1].version : 1;
+
+    const pending = (version) => migrations.filter((m) => m.version > version);
+
+    function run(db, { validator } = {}) {
+        const from = db.meta?.version || 1;
+        const todo = pending(from);
+        const report = { from, to: from, applied: [], quarantined: [], db };
+        if (!todo.length) return report;
+
+        const next = structuredClone({ items: db.items, meta: db.meta || {} });
+        const at = new Date().toISOString();
+        for (const m of todo) {
+            const held = new Set();
+            const ctx = {
+                quarantine(item, reason, errors = []) {
+                    held.add(item);
+                    report.quarantined.push({ item, reason, errors, migration: m.name, at });
+                },
+            };
+            try {
+                m.up(next, ctx);
+            } catch (err) {
+                throw new Error(`Migration ${m.name} failed: ${err.message || err}`);
+            }
+            if (held.size) next.items = next.items.filter((i) => !held.has(i));
+            next.meta.version = m.version;
+            next.meta.migrations = [...(next.meta.migrations || []), { version: m.version, name: m.name, appliedAt: at }];
+            report.applied.push({ version: m.version, name: m.name, description: m.description });
+        }
+
+        if (validator) {
+            const check = validator(next.meta);
+            next.items = next.items.filter((item) => {
+                const errors = check(item);
+                if (!errors.length) return true;
+                report.quarantined.push({ item, reason: "Failed validation after migration", errors, migration: null, at });
+                return false;
+            });
+        }
+        report.to = next.meta.version;
+        report.db = next;
+        return report;
+    }
+
+    return { latest, migrations, pending, run };
+}
+
+/**
+ * Карантин — data/quarantine.json: items, які міграції прибрали з БД,
+ * разом з причиною і помилками валідації. Нічого не видаляється автоматично —
+ * адмін переглядає (GET /admin/migrations) і виправляє вручну.
+ */
+function createQuarantine({ dataDir }) {
+    const file = path.join(dataDir, "quarantine.json");
+
+    function list() {
+        if (!fs.existsSync(file)) return [];
+        try {
+            return JSON.parse(fs.readFileSync(file, "utf8")).items || [];
+        } catch {
+            return [];
+        }
+    }
+
+    function add(entries) {
+        if (!entries.length) return;
+        const t = file + ".tmp";
+        fs.writeFileSync(t, JSON.stringify({ items: [...list(), ...entries] }, null, 2));
+        fs.renameSync(t, file);
+    }
+
+    return { list, add };
+}
+
+module.exports = { createMigrator, createQuarantine, loadMigrations };
@@ -0,0 +1,79 @@
+// lib/movies.js — локальний каталог фільмів (kind "movie"), наповнюється з відповідей OMDb
+const crypto = require("crypto");
+
+// OMDb позначає відсутні значення рядком "N/A"
+const omdbValue = (v) => (v === undefined || v === null || v === "N/A" || v === "" ? null : String(v));
+
+// { Title, Year, Poster, Genre: "Action, Sci-Fi", Type } -> поля payload
+function fromOmdb(data) {
+    const genre = omdbValue(data.Genre);
+    return {
+        imdbID: data.imdbID,
+        title: omdbValue(data.Title),
+        year: omdbValue(data.Year),
+        poster: omdbValue(data.Poster),
+        genres: genre ? genre.split(",").map((g) => g.trim()).filter(Boolean) : null,
+        type: omdbValue(data.Type),
+    };
+}
+
+/**
+ * Фільми — службові items, як user/session: їх пише лише сервер.
+ * Деталі (?i=) перезаписують запис повністю; результати пошуку (?s=) лише
+ * створюють чернетку, якої ще немає, — у них немає жанрів.
+ */
+function createCatalog({ store }) {
+    const byImdb = new Map();
+
+    // index, а не subscribe: remember читає byImdb усередині store.batch (сторінка пошуку)
+    store.index((change) => {
+        if (change.type === "load") {
+            byImdb.clear();
+            for (const i of change.items) if (i.payload?.kind === "movie") byImdb.set(i.payload.imdbID, i.id);
+            return;
+        }
+        if (change.prev?.payload?.kind === "movie") byImdb.delete(change.prev.payload.imdbID);
+        if (change.item?.payload?.kind === "movie") byImdb.set(change.item.payload.imdbID, change.item.id);
+    });
+
+    const get = (imdbID) => {
+        const item = imdbID && store.get(byImdb.get(imdbID));
+        return item?.payload?.kind === "movie" ? item : null;
+    };
+
+    // повертає item; без зміни полів нічого не пише (кеш-хіти не чіпають БД)
+    function remember(data, { partial = false } = {}) {
+        if (!data?.imdbID) return null;
+        const existing = get(data.imdbID);
+        if (existing && partial) return existing;
+
+        const fields = { kind: "movie", ...fromOmdb(data), detailed: !partial };
+        const now = new Date().toISOString();
+        if (!existing)
+            return store.insert({ id: crypto.randomUUID(), createdAt: now, updatedAt: now, version: 1, payload: fields });
+        if (JSON.stringify({ ...existing.payload, ...fields }) === JSON.stringify(existing.payload)) return existing;
+        return store.update({
+            ...existing,
+            updatedAt: now,
+            version: (existing.version || 1) + 1,
+            payload: { ...existing.payload, ...fields },
+        });
+    }
+
+    return { get, remember };
+}
+
+function publicMovie(item) {
+    const p = item.payload;
+    return {
+        imdbID: p.imdbID,
+        title: p.title,
+        year: p.year,
+        poster: p.poster,
+        genres: p.genres,
+        type: p.type,
+        updatedAt: item.updatedAt,
+    };
+}
+
+module.exports = { createCatalog, publicMovie, fromOmdb };
@@ -0,0 +1,138 @@
+// lib/omdb.js — клієнт OMDb з TTL-кешем на диску, stale-while-revalidate і злиттям запитів
+const fs = require("fs");
+
+// помилка апстріму: status — HTTP-код для відповіді клієнту, code — для errors[]
+function omdbError(status, code, message) {
+    return Object.assign(new Error(message), { status, code });
+}
+
+// OMDb повертає ліміт ключа як звичайну відповідь Response: "False"
+const QUOTA_RE = /limit/i;
+
+/**
+ * Ключ кешу — нормалізований запит (s/i/page/type/y): регістр і зайві пробіли
+ * в пошуку не створюють окремих записів.
+ */
+function cacheKey({ s, i, page, type, y }) {
+    if (i) return `i=${i.toLowerCase()}`;
+    const parts = [`s=${s.toLowerCase().replace(/\s+/g, " ")}`, `page=${page || 1}`];
+    if (type) parts.push(`type=${type.toLowerCase()}`);
+    if (y) parts.push(`y=${y}`);
+    return parts.join("&");
+}
+
+/**
+ * lookup(params) -> { data, cache: "HIT" | "MISS" | "STALE", age, maxAge }.
+ *   - свіжий запис (молодший за ttl) — HIT без запиту до OMDb;
+ *   - протухлий, але в межах stale — STALE одразу + оновлення у фоні;
+ *   - старіший або відсутній — запит до OMDb (MISS); якщо OMDb недоступний,
+ *     а старий запис є — віддаємо його як STALE.
+ * Однакові запити в польоті зливаються в один fetch.
+ */
+function createOmdbClient({ fetchFn, baseUrl, apiKey, timeoutMs, ttlSec, staleSec, maxEntries, cacheFile }) {
+    const entries = new Map(); // key -> { data, fetchedAt }
+    const inflight = new Map(); // key -> Promise
+    let saveTimer = null;
+
+    if (cacheFile && fs.existsSync(cacheFile)) {
+        try {
+            const saved = JSON.parse(fs.readFileSync(cacheFile, "utf8"));
+            for (const [k, v] of Object.entries(saved.entries || {})) entries.set(k, v);
+        } catch (err) {
+            console.warn(`omdb: cache file ignored (${err.message})`);
+        }
+    }
+
+    // запис на диск відкладений і згрупований: серія промахів — один rename
+    function scheduleSave() {
+        if (!cacheFile || saveTimer) return;
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            const t = cacheFile + ".tmp";
+            // таймер поза запитом: виняток тут поклав би весь процес, а кеш — лише прискорення
+            try {
+                fs.writeFileSync(t, JSON.stringify({ entries: Object.fromEntries(entries) }));
+                fs.renameSync(t, cacheFile);
+            } catch (err) {
+                console.warn(`omdb: cache not saved (${err.message})`);
+            }
+        }, 1000);
+        saveTimer.unref();
+    }
+
+    function remember(key, data) {
+        entries.delete(key); // Map зберігає порядок вставки — найстаріші спереду
+        entries.set(key, { data, fetchedAt: Date.now() });
+        while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+        scheduleSave();
+    }
+
+    async function fetchUpstream(params) {
+        const url = new URL(baseUrl);
+        url.searchParams.set("apikey", apiKey);
+        if (params.i) {
+            url.searchParams.set("i", params.i);
+            url.searchParams.set("plot", "full");
+        } else {
+            url.searchParams.set("s", params.s);
+            url.searchParams.set("page", String(params.page || 1));
+            if (params.type) url.searchParams.set("type", params.type);
+            if (params.y) url.searchParams.set("y", params.y);
+        }
+
+        const ctrl = new AbortController();
+        const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+        let r;
+        try {
+            r = await fetchFn(url.toString(), { signal: ctrl.signal });
+        } catch (err) {
+            if (ctrl.signal.aborted) throw omdbError(504, "timeout", `OMDb did not respond in ${timeoutMs} ms`);
+            throw omdbError(502, "upstream", String(err.message || err));
+        } finally {
+            clearTimeout(timer);
+        }
+        if (!r.ok) throw omdbError(r.status, "upstream", `OMDb responded ${r.status}`);
+
+        const data = await r.json();
+        if (data.Response === "False" && QUOTA_RE.test(data.Error || ""))
+            throw omdbError(503, "quota", data.Error);
+        return data;
+    }
+
+    // один fetch на ключ; результат (у т.ч. "не знайдено") кешується, помилки — ні
+    function refresh(key, params) {
+        if (!inflight.has(key)) {
+            const p = fetchUpstream(params)
+                .then((data) => {
+                    remember(key, data);
+                    return data;
+                })
+                .finally(() => inflight.delete(key));
+            inflight.set(key, p);
+        }
+        return inflight.get(key);
+    }
+
+    async function lookup(params) {
+        const key = cacheKey(params);
+        const entry = entries.get(key);
+        const age = entry ? Math.floor((Date.now() - entry.fetchedAt) / 1000) : null;
+
+        if (entry && age < ttlSec) return { data: entry.data, cache: "HIT", age, maxAge: ttlSec - age };
+        if (entry && age < ttlSec + staleSec) {
+            refresh(key, params).catch((err) => console.warn(`omdb: revalidate ${key} failed: ${err.message}`));
+            return { data: entry.data, cache: "STALE", age, maxAge: 0 };
+        }
+
+        try {
+            return { data: await refresh(key, params), cache: "MISS", age: 0, maxAge: ttlSec };
+        } catch (err) {
+            if (entry) return { data: entry.data, cache: "STALE", age, maxAge: 0 };
+            throw err;
+        }
+    }
+
+    return { lookup, size: () => entries.size };
+}
+
+module.exports = { createOmdbClient, cacheKey };
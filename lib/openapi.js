@@ -0,0 +1,201 @@
+// lib/openapi.js — опис API (OpenAPI 3.1) зі схем Ajv і метаданих маршрутів + перевірка відповідей
+const { STATUS_CODES } = require("http");
+
+const REF_PREFIX = "#/components/schemas/";
+const ref = (name) => ({ $ref: REF_PREFIX + name });
+const nullable = (schema) => ({ anyOf: [schema, { type: "null" }] });
+
+// "/comments/:id" -> "/comments/{id}"
+const toOpenApiPath = (p) => p.replace(/:(\w+)/g, "{$1}");
+const pathParams = (p) => [...p.matchAll(/:(\w+)/g)].map((m) => m[1]);
+
+// назви компонентів, на які схема посилається напряму (не заходячи в самі компоненти)
+function refsOf(schema, out = new Set()) {
+    if (Array.isArray(schema)) schema.forEach((s) => refsOf(s, out));
+    else if (schema && typeof schema === "object") {
+        if (typeof schema.$ref === "string" && schema.$ref.startsWith(REF_PREFIX)) out.add(schema.$ref.slice(REF_PREFIX.length));
+        Object.values(schema).forEach((s) => refsOf(s, out));
+    }
+    return out;
+}
+
+/**
+ * Реєстр маршрутів для /openapi.json. Схема відповіді — JSON Schema, ref(назва)
+ * компонента або (req) => схема: так відповіді /collections/:kind перевіряються
+ * схемою саме цього kind'а (у документі — req = null). Не-JSON відповіді
+ * (SSE, архіви) описуються як { content: "mime", description } і не перевіряються.
+ *
+ *   api.describe("get /comments/:id", {
+ *       tags: ["comments"], summary: "...", auth: "optional" | "user" | "admin",
+ *       query: { limit: "опис" | { description, schema, required } },
+ *       body: схема | { content: "text/csv" | [...], schema },
+ *       responses: { 200: ref("Comment"), 404: ... },   // 4xx/5xx без опису — Error
+ *   });
+ */
+function createApiDoc({ ajv, info, errorSchema }) {
+    const ops = new Map(); // "GET /comments/:id" -> meta
+    const schemas = new Map([["Error", errorSchema]]);
+    const compiled = new Map();
+
+    // компонент: схема або thunk (схеми kind'ів, що реєструються в рантаймі)
+    function schema(name, s) {
+        schemas.set(name, s);
+        return ref(name);
+    }
+    const resolve = (name) => {
+        const s = schemas.get(name);
+        if (s === undefined) throw new Error(`openapi: unknown schema "${name}"`);
+        return typeof s === "function" ? s() : s;
+    };
+
+    function describe(route, meta) {
+        const [method, path] = route.split(" ");
+        ops.set(`${method.toUpperCase()} ${path}`, meta);
+    }
+
+    const isContent = (r) => r && typeof r === "object" && (typeof r.content === "string" || Array.isArray(r.content));
+    const docSchema = (s) => (typeof s === "function" ? s(null) : s);
+
+    function response(status, r) {
+        const description = r?.description || STATUS_CODES[status] || "Response";
+        if (isContent(r)) {
+            const types = [].concat(r.content);
+            return { description, content: Object.fromEntries(types.map((t) => [t, r.schema ? { schema: r.schema } : {}])) };
+        }
+        return { description, content: { "application/json": { schema: docSchema(r) } } };
+    }
+
+    function parameters(path, query = {}) {
+        const params = pathParams(path).map((name) => ({ name, in: "path", required: true, schema: { type: "string" } }));
+        for (const [name, q] of Object.entries(query)) {
+            const spec = typeof q === "string" ? { description: q } : q;
+            params.push({
+                name,
+                in: "query",
+                required: !!spec.required,
+                description: spec.description,
+                schema: spec.schema || { type: "string" },
+            });
+        }
+        return params;
+    }
+
+    const SECURITY = {
+        optional: [{}, { bearerAuth: [] }],
+        user: [{ bearerAuth: [] }],
+        admin: [{ bearerAuth: [] }, { adminToken: [] }],
+    };
+
+    function document() {
+        const paths = {};
+        for (const [key, meta] of ops) {
+            const [method, path] = key.split(" ");
+            const responses = {};
+            for (const [status, r] of Object.entries(meta.responses || {})) responses[status] = response(status, r);
+            responses.default = { description: "Error", content: { "application/json": { schema: ref("Error") } } };
+
+            const op = {
+                tags: meta.tags,
+                summary: meta.summary,
+                description: meta.description,
+                parameters: parameters(path, meta.query),
+                security: SECURITY[meta.auth || "optional"],
+                responses,
+            };
+            if (meta.body) {
+                const body = isContent(meta.body) ? meta.body : { content: "application/json", schema: meta.body };
+                op.requestBody = {
+                    required: true,
+                    content: Object.fromEntries([].concat(body.content).map((t) => [t, body.schema ? { schema: body.schema } : {}])),
+                };
+            }
+            paths[toOpenApiPath(path)] = { ...paths[toOpenApiPath(path)], [method.toLowerCase()]: op };
+        }
+        return {
+            openapi: "3.1.0",
+            info,
+            paths,
+            components: {
+                schemas: Object.fromEntries([...schemas.keys()].map((name) => [name, resolve(name)])),
+                securitySchemes: {
+                    bearerAuth: { type: "http", scheme: "bearer", description: "accessToken from /auth/login, /auth/register or /auth/anonymous" },
+                    adminToken: { type: "apiKey", in: "header", name: "x-admin-token", description: "Service access with the server ADMIN_TOKEN" },
+                },
+            },
+        };
+    }
+
+    /**
+     * Схема -> валідатор Ajv. Компоненти, на які вона посилається (транзитивно),
+     * кладуться в $defs — так працюють і рекурсивні (дерево відповідей).
+     * Ключ кешу — сама схема після розгортання: зміна kind'а дає новий валідатор.
+     */
+    function validatorFor(s) {
+        const defs = {};
+        const queue = [...refsOf(s)];
+        while (queue.length) {
+            const name = queue.pop();
+            if (defs[name]) continue;
+            defs[name] = resolve(name);
+            queue.push(...refsOf(defs[name]));
+        }
+        const text = JSON.stringify({ ...s, $defs: { ...s.$defs, ...defs } }).split(`"${REF_PREFIX}`).join('"#/$defs/');
+        if (!compiled.has(text)) compiled.set(text, ajv.compile(JSON.parse(text)));
+        return compiled.get(text);
+    }
+
+    // -> null (усе гаразд або не перевіряється) або errors[]
+    function checkResponse(req, status, body) {
+        const meta = ops.get(`${req.method === "HEAD" ? "GET" : req.method} ${req.route.path}`);
+        if (!meta) return null;
+        let r = meta.responses?.[status];
+        if (r === undefined && status >= 400) r = ref("Error");
+        if (r === undefined) return [{ field: "status", message: `Status ${status} is not declared for ${req.method} ${req.route.path}`, code: "status" }];
+        if (isContent(r)) return null;
+
+        const validate = validatorFor(typeof r === "function" ? r(req) : r);
+        if (validate(body)) return null;
+        return validate.errors.map((e) => ({
+            field: e.instancePath || "/",
+            message: e.params?.additionalProperty ? `${e.message}: ${e.params.additionalProperty}` : e.message,
+            code: e.keyword,
+        }));
+    }
+
+    /**
+     * Dev-режим: кожен res.json задокументованого маршруту звіряється зі схемою.
+     * Витік поля (additionalProperties), зникле поле чи неописаний статус —
+     * у лог і 500 замість відповіді, щоб розбіжність не пройшла непоміченою.
+     */
+    function validateResponses({ log = console.error } = {}) {
+        return (req, res, next) => {
+            const json = res.json.bind(res);
+            res.json = (body) => {
+                if (!req.route) return json(body);
+                const errors = checkResponse(req, res.statusCode, body);
+                if (!errors) return json(body);
+                log(`openapi: ${req.method} ${req.originalUrl} -> ${res.statusCode} does not match the schema`, errors);
+                res.status(500);
+                return json({ error: "Response failed validation", errors });
+            };
+            next();
+        };
+    }
+
+    // маршрути express без опису — щоб новий маршрут не випав з документа непомітно
+    function undocumented(app) {
+        const out = [];
+        for (const layer of app._router?.stack || []) {
+            if (!layer.route) continue;
+            for (const method of Object.keys(layer.route.methods)) {
+                const key = `${method.toUpperCase()} ${layer.route.path}`;
+                if (!ops.has(key)) out.push(key);
+            }
+        }
+        return out;
+    }
+
+    return { schema, describe, document, validateResponses, undocumented };
+}
+
+module.exports = { createApiDoc, ref, nullable, toOpenApiPath };
@@ -0,0 +1,37 @@
+// lib/permissions.js — ролі та таблиця прав kind × дія × роль
+
+// guest — запит без акаунта; решту ролей зберігає user.payload.role
+const ROLES = ["guest", "user", "moderator", "admin"];
+const ASSIGNABLE_ROLES = ["user", "moderator", "admin"];
+const ACTIONS = ["read", "create", "update", "delete", "moderate"];
+
+// none — заборонено; own — лише власні items (для read: публічні + власні); any — будь-які
+const LEVELS = ["none", "own", "any"];
+
+// типові права для будь-якого kind'а; kind перевизначає дію цілим рядком
+// (ролі, яких немає в рядку, отримують none)
+const DEFAULT_PERMISSIONS = {
+    read: { guest: "own", user: "own", moderator: "own", admin: "any" },
+    create: { user: "any", moderator: "any", admin: "any" },
+    update: { user: "own", moderator: "own", admin: "any" },
+    delete: { user: "own", moderator: "own", admin: "any" },
+    moderate: { moderator: "any", admin: "any" },
+};
+
+// схема для перевизначень у реєстрації kind'а (PUT /collections/:kind/schema)
+const permissionsSchema = {
+    type: "object",
+    propertyNames: { enum: ACTIONS },
+    additionalProperties: {
+        type: "object",
+        propertyNames: { enum: ROLES },
+        additionalProperties: { enum: LEVELS },
+    },
+};
+
+function grantFor(permissions, action, role) {
+    const row = permissions?.[action] || DEFAULT_PERMISSIONS[action] || {};
+    return row[role] || "none";
+}
+
+module.exports = { ROLES, ASSIGNABLE_ROLES, ACTIONS, LEVELS, DEFAULT_PERMISSIONS, permissionsSchema, grantFor };
@@ -0,0 +1,250 @@
+// lib/query.js — мова запитів для списків: filter / sort / fields / cursor
+//
+//   ?filter[rating][gt]=3&filter[imdbID]=tt0133093       (eq за замовчуванням)
+//   ?filter[name][in]=Bob,Alice&filter[message][contains]=матриця
+//   ?sort=-rating,createdAt                               (кілька ключів, "-" — спадання)
+//   ?fields=name,rating                                   (проєкція payload)
+//   ?cursor=<nextCursor>&limit=20                         (стабільна пагінація)
+//   ?filter[parentId]=null                                (null — відсутнє поле, лише eq/ne)
+//
+// Окрім полів payload kind може мати обчислювані поля (computed), напр. кількість
+// реакцій "helpful" — їх можна фільтрувати й сортувати так само (?sort=-helpful).
+
+const OPERATORS = ["eq", "ne", "gt", "gte", "lt", "lte", "in", "contains"];
+const TOP_FIELDS = ["id", "createdAt", "updatedAt", "version"];
+const MAX_LIMIT = 200;
+
+const queryError = (field, message, code) => ({ field, message, code });
+
+// тип поля зі схеми payload; для anyOf беремо перший непорожній type
+function fieldType(def, field, computed) {
+    if (field === "version" || computed[field]) return "integer";
+    if (TOP_FIELDS.includes(field)) return "string";
+    const prop = def.schema.properties?.[field] || {};
+    if (prop.type) return Array.isArray(prop.type) ? prop.type[0] : prop.type;
+    const alt = (prop.anyOf || prop.oneOf || []).find((p) => p.type && p.type !== "null");
+    return alt ? alt.type : "string";
+}
+
+function coerce(type, raw) {
+    const s = String(raw);
+    if (type === "integer" || type === "number") {
+        const n = Number(s);
+        if (s.trim() === "" || !Number.isFinite(n) || (type === "integer" && !Number.isInteger(n))) return { error: `must be ${type}` };
+        return { value: n };
+    }
+    if (type === "boolean") {
+        if (s !== "true" && s !== "false") return { error: "must be true or false" };
+        return { value: s === "true" };
+    }
+    return { value: s };
+}
+
+// значення поля item: службове, обчислюване або з payload
+function fieldGetter(computed = {}) {
+    return (item, field) => {
+        if (computed[field]) return computed[field](item);
+        return TOP_FIELDS.includes(field) ? item[field] : item.payload?.[field];
+    };
+}
+const valueOf = fieldGetter();
+
+// null/undefined завжди в кінці, незалежно від напрямку
+function compareValues(x, y, desc) {
+    const xn = x === undefined || x === null;
+    const yn = y === undefined || y === null;
+    if (xn || yn) return xn === yn ? 0 : xn ? 1 : -1;
+    if (x === y) return 0;
+    return (x < y ? -1 : 1) * (desc ? -1 : 1);
+}
+
+function parseSort(spec) {
+    return String(spec)
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean)
+        .map((s) => (s.startsWith("-") ? { field: s.slice(1), desc: true } : { field: s, desc: false }));
+}
+
+// id — останній ключ, щоб порядок був повним (потрібно курсору)
+function sortKeys(sort) {
+    return sort.some((k) => k.field === "id") ? sort : [...sort, { field: "id", desc: false }];
+}
+
+function compareItems(keys, get = valueOf) {
+    return (a, b) => {
+        for (const k of keys) {
+            const c = compareValues(get(a, k.field), get(b, k.field), k.desc);
+            if (c !== 0) return c;
+        }
+        return 0;
+    };
+}
+
+function sortItems(items, spec) {
+    return items.sort(compareItems(sortKeys(parseSort(spec))));
+}
+
+/* ------------------------------- cursor ----------------------------------- */
+// курсор — base64url від { s: sort, k: значення ключів останнього item }
+function encodeCursor(sortSpec, keys, item, get = valueOf) {
+    const k = keys.map((key) => get(item, key.field) ?? null);
+    return Buffer.from(JSON.stringify({ s: sortSpec, k })).toString("base64url");
+}
+function decodeCursor(raw) {
+    try {
+        const c = JSON.parse(Buffer.from(String(raw), "base64url").toString("utf8"));
+        if (typeof c?.s !== "string" || !Array.isArray(c.k)) return null;
+        return c;
+    } catch {
+        return null;
+    }
+}
+
+/* ------------------------------- filters ---------------------------------- */
+function matches(item, f, get = valueOf) {
+    const v = get(item, f.field);
+    const ordered = v !== undefined && v !== null;
+    switch (f.op) {
+        case "eq": return f.value === null ? !ordered : v === f.value;
+        case "ne": return f.value === null ? ordered : v !== f.value;
+        case "gt": return ordered && v > f.value;
+        case "gte": return ordered && v >= f.value;
+        case "lt": return ordered && v < f.value;
+        case "lte": return ordered && v <= f.value;
+        case "in": return f.value.includes(v);
+        case "contains":
+            if (Array.isArray(v)) return v.some((x) => String(x).toLowerCase() === f.value.toLowerCase());
+            return typeof v === "string" && v.toLowerCase().includes(f.value.toLowerCase());
+        default: return false;
+    }
+}
+
+/**
+ * Розбирає req.query для kind'а. Повертає { errors } у форматі formatAjvErrors
+ * або розібраний запит. Фільтрувати/сортувати можна лише публічні поля
+ * (власника — ніколи), службові id/createdAt/updatedAt/version та computed.
+ */
+function parseListQuery(def, query = {}, computed = {}) {
+    const errors = [];
+    const allowed = new Set([...TOP_FIELDS, ...def.publicFields, ...Object.keys(computed)]);
+    const filters = [];
+
+    const addFilter = (param, field, op, raw) => {
+        if (!allowed.has(field))
+            return errors.push(queryError(param, `Unknown or private field "${field}"`, "field"));
+        if (!OPERATORS.includes(op))
+            return errors.push(queryError(param, `Unknown operator "${op}" (expected: ${OPERATORS.join(", ")})`, "operator"));
+
+        const type = fieldType(def, field, computed);
+        if (op === "contains") return filters.push({ field, op, value: String(raw) });
+        if ((op === "eq" || op === "ne") && raw === "null") return filters.push({ field, op, value: null });
+
+        const raws = op === "in"
+            ? (Array.isArray(raw) ? raw : String(raw).split(",")).map((s) => String(s).trim())
+            : [raw];
+        const values = [];
+        for (const r of raws) {
+            if (typeof r === "object") return errors.push(queryError(param, "Invalid value", "type"));
+            const c = coerce(type, r);
+            if (c.error) return errors.push(queryError(param, c.error, "type"));
+            values.push(c.value);
+        }
+        filters.push({ field, op, value: op === "in" ? values : values[0] });
+    };
+
+    // короткі фільтри з реєстрації kind'а (?imdbID=...)
+    for (const f of def.filterFields) {
+        if (query[f] !== undefined && query[f] !== "") addFilter(f, f, "eq", query[f]);
+    }
+
+    if (query.filter !== undefined) {
+        if (!query.filter || typeof query.filter !== "object" || Array.isArray(query.filter)) {
+            errors.push(queryError("filter", "Use filter[field]=value or filter[field][op]=value", "format"));
+        } else {
+            for (const [field, cond] of Object.entries(query.filter)) {
+                if (cond && typeof cond === "object" && !Array.isArray(cond)) {
+                    for (const [op, raw] of Object.entries(cond)) addFilter(`filter[${field}][${op}]`, field, op, raw);
+                } else {
+                    addFilter(`filter[${field}]`, field, "eq", cond);
+                }
+            }
+        }
+    }
+
+    let sortSpec = def.defaultSort;
+    if (query.sort !== undefined) {
+        sortSpec = String(query.sort);
+        const keys = parseSort(sortSpec);
+        if (!keys.length) errors.push(queryError("sort", "Sort must not be empty", "format"));
+        for (const k of keys) {
+            if (!allowed.has(k.field)) errors.push(queryError("sort", `Unknown or private field "${k.field}"`, "field"));
+        }
+    }
+
+    let fields = null;
+    if (query.fields !== undefined) {
+        fields = String(query.fields).split(",").map((s) => s.trim()).filter(Boolean);
+        for (const f of fields) {
+            if (!def.publicFields.includes(f)) errors.push(queryError("fields", `Unknown or private field "${f}"`, "field"));
+        }
+    }
+
+    let cursor = null;
+    if (query.cursor !== undefined && query.cursor !== "") {
+        cursor = decodeCursor(query.cursor);
+        if (!cursor) errors.push(queryError("cursor", "Malformed cursor", "cursor"));
+        else if (cursor.s !== sortSpec) errors.push(queryError("cursor", "Cursor was issued for a different sort", "cursor"));
+    }
+
+    if (errors.length) return { errors };
+    return { filters, sortSpec, fields, cursor, cursorMode: query.cursor !== undefined, get: fieldGetter(computed) };
+}
+
+/**
+ * Фільтрує, сортує і ріже сторінку. total — кількість після фільтрів.
+ * З курсором віддаємо items строго після останнього побаченого ключа,
+ * тож нові вставки не зсувають сторінки (на відміну від page/offset).
+ */
+function runListQuery(items, q, { page, limit } = {}) {
+    const l = Math.min(MAX_LIMIT, Math.max(1, +limit || 50));
+    const get = q.get || valueOf;
+    const keys = sortKeys(parseSort(q.sortSpec));
+    const cmp = compareItems(keys, get);
+
+    const filtered = items.filter((i) => q.filters.every((f) => matches(i, f, get))).sort(cmp);
+
+    let start = 0;
+    let p = null;
+    if (q.cursor) {
+        start = filtered.findIndex((i) =>
+            keys.reduce((c, k, n) => c || compareValues(get(i, k.field), q.cursor.k[n], k.desc), 0) > 0
+        );
+        if (start === -1) start = filtered.length;
+    } else if (!q.cursorMode) {
+        p = Math.max(1, +page || 1);
+        start = (p - 1) * l;
+    }
+
+    const data = filtered.slice(start, start + l);
+    const last = data[data.length - 1];
+    const nextCursor = last && start + l < filtered.length ? encodeCursor(q.sortSpec, keys, last, get) : null;
+
+    return {
+        data,
+        ...(p === null ? {} : { page: p }),
+        limit: l,
+        total: filtered.length,
+        nextCursor,
+    };
+}
+
+// ?fields=... — залишаємо лише вибрані поля payload (kind завжди)
+function selectFields(payload, fields) {
+    if (!fields) return payload;
+    const out = { kind: payload.kind };
+    for (const f of fields) out[f] = payload[f];
+    return out;
+}
+
+module.exports = { parseListQuery, runListQuery, selectFields, sortItems, OPERATORS };
@@ -0,0 +1,25 @@
+// lib/queue.js — послідовна черга мутацій у межах процесу
+
+/**
+ * Задачі виконуються строго одна за одною: наступна стартує лише коли
+ * попередня (включно з її await) завершилась. Помилка однієї задачі
+ * не зупиняє чергу — вона повертається тому, хто її поставив.
+ */
+function createQueue() {
+    let tail = Promise.resolve();
+    let pending = 0;
+
+    function run(task) {
+        pending++;
+        const result = tail.then(() => task());
+        tail = result.then(
+            () => { pending--; },
+            () => { pending--; }
+        );
+        return result;
+    }
+
+    return { run, size: () => pending };
+}
+
+module.exports = { createQueue };
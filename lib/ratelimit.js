@@ -0,0 +1,86 @@
+// lib/ratelimit.js — token bucket на ключ (IP / акаунт) і пам'ять недавніх повідомлень
+const UNITS = { s: 1000, m: 60 * 1000, h: 3600 * 1000 };
+
+// "10/1m" -> { limit: 10, windowMs: 60000 } (10 запитів на хвилину); "off" або "0" -> null
+function parseRate(spec) {
+    const s = String(spec ?? "").trim();
+    if (!s || s === "off" || s === "0") return null;
+    const m = /^(\d+)\/(\d*)([smh])$/.exec(s);
+    if (!m || +m[1] < 1) throw new Error(`Invalid rate "${s}" (expected e.g. 10/1m, 100/1h or off)`);
+    return { limit: +m[1], windowMs: (+m[2] || 1) * UNITS[m[3]] };
+}
+
+// "1000" -> 1000; "off" або "0" -> 0 (без стелі); решта (NaN, дроби, від'ємні) — помилка старту
+function parseCount(spec, name = "limit") {
+    const s = String(spec ?? "").trim();
+    if (s === "off") return 0;
+    if (!/^\d+$/.test(s)) throw new Error(`Invalid ${name} "${s}" (expected a whole number, 0 or off)`);
+    return +s;
+}
+
+/**
+ * Відро на ключ: місткість limit, поповнюється рівномірно — limit за windowMs.
+ * Тобто сплеск до limit запитів, далі в середньому не частіше за ліміт.
+ * Повні відра (ключ давно мовчить) періодично прибираються.
+ */
+function createRateLimiter({ now = Date.now, sweepMs = 60 * 1000 } = {}) {
+    const buckets = new Map(); // ключ -> { tokens, at, rate }
+
+    /**
+     * -> { ok, limit, remaining, resetSec, retryAfterSec, windowSec }
+     * resetSec — за скільки секунд відро знову повне; retryAfterSec — коли
+     * з'явиться наступний токен (лише при ok: false).
+     */
+    function take(key, rate) {
+        const t = now();
+        const perMs = rate.limit / rate.windowMs;
+        const b = buckets.get(key) || { tokens: rate.limit, at: t, rate };
+        b.tokens = Math.min(rate.limit, b.tokens + (t - b.at) * perMs);
+        b.at = t;
+        const ok = b.tokens >= 1;
+        if (ok) b.tokens -= 1;
+        buckets.set(key, b);
+        return {
+            ok,
+            limit: rate.limit,
+            remaining: Math.floor(b.tokens),
+            resetSec: Math.ceil((rate.limit - b.tokens) / perMs / 1000),
+            retryAfterSec: ok ? 0 : Math.ceil((1 - b.tokens) / perMs / 1000),
+            windowSec: Math.round(rate.windowMs / 1000),
+        };
+    }
+
+    setInterval(() => {
+        const t = now();
+        for (const [key, b] of buckets) {
+            if (b.tokens + (t - b.at) * (b.rate.limit / b.rate.windowMs) >= b.rate.limit) buckets.delete(key);
+        }
+    }, sweepMs).unref();
+
+    return { take, size: () => buckets.size };
+}
+
+/**
+ * Дублікати: ключі (автор + хеш тексту, IP + хеш тексту) пам'ятаються windowMs.
+ * seen(keys) — чи був хоч один; remember(keys) — після успішного створення.
+ */
+function createDuplicateDetector({ windowMs, now = Date.now }) {
+    const seenAt = new Map();
+
+    function seen(keys) {
+        const t = now();
+        return keys.some((k) => seenAt.has(k) && t - seenAt.get(k) < windowMs);
+    }
+
+    function remember(keys) {
+        const t = now();
+        for (const k of keys) seenAt.set(k, t);
+        if (seenAt.size > 10000) {
+            for (const [k, at] of seenAt) if (t - at >= windowMs) seenAt.delete(k);
+        }
+    }
+
+    return { seen, remember };
+}
+
+module.exports = { createRateLimiter, createDuplicateDetector, parseRate, parseCount };
@@ -0,0 +1,107 @@
+// lib/revisions.js — історія змін items: попередній payload перед кожним редагуванням/видаленням
+const crypto = require("crypto");
+
+// верхньорівневі поля payload, що відрізняються
+function changedFields(before, after) {
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    return [...keys].filter((k) => JSON.stringify(before?.[k]) !== JSON.stringify(after?.[k])).sort();
+}
+
+/**
+ * Ревізії — службові items kind "revision":
+ *   { itemId, itemKind, action: "update" | "delete" | "revert", by, role,
+ *     version, changed, data }
+ * data — повний payload item до дії (version — його версія), changed — які
+ * поля дія змінила. Ліміти: maxPerItem найновіших на item і maxAgeDays
+ * (0 — без обмеження за віком); застарілі прибираються при записі нових.
+ */
+function createRevisions({ store, maxPerItem = 20, maxAgeDays = 90 }) {
+    const byItem = new Map(); // id item -> Set(id ревізій)
+
+    const add = (rev) => {
+        if (!byItem.has(rev.payload.itemId)) byItem.set(rev.payload.itemId, new Set());
+        byItem.get(rev.payload.itemId).add(rev.id);
+    };
+    const drop = (rev) => {
+        const set = byItem.get(rev.payload.itemId);
+        if (!set) return;
+        set.delete(rev.id);
+        if (!set.size) byItem.delete(rev.payload.itemId);
+    };
+
+    // index, а не subscribe: prune після record читає byItem у тому ж store.batch
+    store.index((change) => {
+        if (change.type === "load") {
+            byItem.clear();
+            for (const i of change.items) if (i.payload?.kind === "revision") add(i);
+            return;
+        }
+        if (change.prev?.payload?.kind === "revision") drop(change.prev);
+        if (change.item?.payload?.kind === "revision") add(change.item);
+    });
+
+    // найновіші спочатку
+    function forItem(itemId) {
+        return [...(byItem.get(itemId) || [])]
+            .map((id) => store.get(id))
+            .filter(Boolean)
+            .sort((a, b) => (a.createdAt === b.createdAt ? b.payload.version - a.payload.version : a.createdAt < b.createdAt ? 1 : -1));
+    }
+
+    function get(itemId, revisionId) {
+        const rev = store.get(revisionId);
+        return rev?.payload?.kind === "revision" && rev.payload.itemId === itemId ? rev : null;
+    }
+
+    const expired = (rev, now) => maxAgeDays > 0 && now - Date.parse(rev.createdAt) > maxAgeDays * 86400 * 1000;
+
+    function prune(itemId, now = Date.now()) {
+        forItem(itemId).forEach((rev, n) => {
+            if (n >= maxPerItem || expired(rev, now)) store.remove(rev.id);
+        });
+    }
+
+    // усі items (старт сервера) одним записом; повертає кількість видалених
+    function pruneAll(now = Date.now()) {
+        let removed = 0;
+        store.batch(() => {
+            for (const itemId of [...byItem.keys()]) {
+                const before = byItem.get(itemId).size;
+                prune(itemId, now);
+                removed += before - (byItem.get(itemId)?.size || 0);
+            }
+        });
+        return removed;
+    }
+
+    /**
+     * prev — item до дії, next — після (для delete payload не змінюється).
+     * Викликається в черзі мутацій разом із самою зміною, в одному store.batch з нею.
+     */
+    function record(prev, next, { action, by = null, role = null }) {
+        const now = new Date().toISOString();
+        const rev = store.insert({
+            id: crypto.randomUUID(),
+            createdAt: now,
+            updatedAt: now,
+            version: 1,
+            payload: {
+                kind: "revision",
+                itemId: prev.id,
+                itemKind: prev.payload.kind,
+                action,
+                by,
+                role,
+                version: prev.version || 1,
+                changed: changedFields(prev.payload, next.payload),
+                data: prev.payload,
+            },
+        });
+        prune(prev.id);
+        return rev;
+    }
+
+    return { record, forItem, get, prune, pruneAll };
+}
+
+module.exports = { createRevisions, changedFields };
@@ -0,0 +1,116 @@
+// lib/search.js — інвертований індекс для повнотекстового пошуку (Unicode / кирилиця)
+
+// слово = літери/цифри будь-якої мови, апостроф усередині слова (п'ять, пʼять, п’ять)
+const WORD_RE = /[\p{L}\p{N}]+(?:['’ʼ`][\p{L}\p{N}]+)*/gu;
+const APOSTROPHES_RE = /['’ʼ`]/g;
+const MIN_PREFIX = 2;
+const PREFIX_WEIGHT = 0.5; // збіг за префіксом важить менше за точний
+
+function tokenize(text) {
+    if (text === undefined || text === null) return [];
+    const norm = String(text).normalize("NFC").toLowerCase();
+    return (norm.match(WORD_RE) || []).map((w) => w.replace(APOSTROPHES_RE, ""));
+}
+
+/**
+ * fieldsFor(kind) -> { field: weight } або null, якщо kind не індексується.
+ * postings: term -> Map(id -> зважена частота); docs: id -> { kind, terms }.
+ * Префіксний пошук перебирає словник — для тисяч документів цього достатньо.
+ */
+function createSearchIndex({ fieldsFor }) {
+    const postings = new Map();
+    const docs = new Map();
+
+    function remove(id) {
+        const doc = docs.get(id);
+        if (!doc) return;
+        for (const term of doc.terms) {
+            const p = postings.get(term);
+            if (!p) continue;
+            p.delete(id);
+            if (!p.size) postings.delete(term);
+        }
+        docs.delete(id);
+    }
+
+    function add(item) {
+        remove(item.id);
+        const kind = item.payload?.kind;
+        const fields = kind && fieldsFor(kind);
+        if (!fields) return;
+
+        const tf = new Map();
+        for (const [field, weight] of Object.entries(fields)) {
+            for (const term of tokenize(item.payload[field])) {
+                tf.set(term, (tf.get(term) || 0) + weight);
+            }
+        }
+        if (!tf.size) return;
+
+        for (const [term, w] of tf) {
+            if (!postings.has(term)) postings.set(term, new Map());
+            postings.get(term).set(item.id, w);
+        }
+        docs.set(item.id, { kind, terms: [...tf.keys()] });
+    }
+
+    function rebuild(items) {
+        postings.clear();
+        docs.clear();
+        for (const item of items) add(item);
+    }
+
+    // підписка на store.subscribe
+    function onChange(change) {
+        if (change.type === "load") rebuild(change.items);
+        else if (change.type === "insert" || change.type === "update") add(change.item);
+        else if (change.type === "remove") remove(change.prev.id);
+    }
+
+    /**
+     * Документ має містити кожне слово запиту (AND) — точно або як префікс.
+     * Рейтинг: сума вага_поля * tf * idf; префіксні збіги * PREFIX_WEIGHT.
+     * Повертає [{ id, kind, score }] за спаданням score.
+     */
+    function search(q, { kinds = null } = {}) {
+        const tokens = [...new Set(tokenize(q))];
+        if (!tokens.length) return [];
+        const n = docs.size || 1;
+
+        let scores = null;
+        for (const token of tokens) {
+            const hits = new Map();
+            const collect = (term, weight) => {
+                const p = postings.get(term);
+                const idf = Math.log(1 + n / p.size);
+                for (const [id, tf] of p) hits.set(id, Math.max(hits.get(id) || 0, tf * idf * weight));
+            };
+
+            if (postings.has(token)) collect(token, 1);
+            if (token.length >= MIN_PREFIX) {
+                for (const term of postings.keys()) {
+                    if (term !== token && term.startsWith(token)) collect(term, PREFIX_WEIGHT);
+                }
+            }
+
+            if (scores === null) {
+                scores = hits;
+            } else {
+                for (const id of scores.keys()) {
+                    if (!hits.has(id)) scores.delete(id);
+                    else scores.set(id, scores.get(id) + hits.get(id));
+                }
+            }
+            if (!scores.size) return [];
+        }
+
+        return [...scores]
+            .map(([id, score]) => ({ id, kind: docs.get(id).kind, score }))
+            .filter((r) => !kinds || kinds.includes(r.kind))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    return { add, remove, rebuild, onChange, search, tokenize, size: () => docs.size };
+}
+
+module.exports = { createSearchIndex, tokenize };
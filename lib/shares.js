@@ -0,0 +1,70 @@
+// lib/shares.js — непублічні посилання на item (картку, колекцію): токен, строк дії, відкликання
+const crypto = require("crypto");
+
+const sha256 = (s) => crypto.createHash("sha256").update(s).digest("hex");
+
+/**
+ * Посилання — службовий item kind "share":
+ *   { targetId, targetKind, createdBy, tokenHash, expiresAt }
+ * Токен "<id посилання>.<випадкова частина>" показується лише при створенні,
+ * у БД — лише його хеш (як refresh-токени сесій). expiresAt: null — безстрокове.
+ * Відкликане посилання просто видаляється.
+ */
+function createShares({ store }) {
+    const isExpired = (share, now = new Date().toISOString()) =>
+        !!share.payload.expiresAt && share.payload.expiresAt <= now;
+
+    const forTarget = (targetId) =>
+        store
+            .byKind("share")
+            .filter((s) => s.payload.targetId === targetId)
+            .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+
+    // -> { share, token }; викликається в черзі мутацій
+    function create(target, { by, expiresAt = null }) {
+        const now = new Date().toISOString();
+        const id = crypto.randomUUID();
+        const token = `${id}.${crypto.randomBytes(24).toString("base64url")}`;
+        const share = store.insert({
+            id,
+            createdAt: now,
+            updatedAt: now,
+            version: 1,
+            payload: {
+                kind: "share",
+                targetId: target.id,
+                targetKind: target.payload.kind,
+                createdBy: by,
+                tokenHash: sha256(token),
+                expiresAt,
+            },
+        });
+        return { share, token };
+    }
+
+    // токен -> дійсне посилання або null (невідомий, підроблений, прострочений)
+    function resolve(token) {
+        const raw = String(token || "");
+        const share = store.get(raw.split(".")[0]);
+        if (share?.payload?.kind !== "share") return null;
+        const a = Buffer.from(share.payload.tokenHash);
+        const b = Buffer.from(sha256(raw));
+        if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+        return isExpired(share) ? null : share;
+    }
+
+    function get(targetId, shareId) {
+        const share = store.get(shareId);
+        return share?.payload?.kind === "share" && share.payload.targetId === targetId ? share : null;
+    }
+
+    // прострочені посилання item'а більше не потрібні; викликається в черзі мутацій
+    function prune(targetId) {
+        const now = new Date().toISOString();
+        for (const s of forTarget(targetId)) if (isExpired(s, now)) store.remove(s.id);
+    }
+
+    return { create, resolve, get, forTarget, prune, isExpired, remove: (id) => store.remove(id) };
+}
+
+module.exports = { createShares };
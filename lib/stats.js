@@ -0,0 +1,76 @@
+// lib/stats.js — агрегати рейтингів по фільму (imdbID), оновлюються інкрементально
+
+const RATINGS = [1, 2, 3, 4, 5];
+
+/**
+ * include(item) вирішує, чи item рахується (напр. лише опубліковані кореневі
+ * коментарі). movies: imdbID -> { sum, histogram, entries: id -> { rating, createdAt } }.
+ * entries потрібні, щоб при видаленні/редагуванні знати, що саме відняти,
+ * і перерахувати latestCommentAt без перебору всієї БД.
+ */
+function createRatingStats({ include }) {
+    const movies = new Map();
+    const counted = new Map(); // id item'а -> imdbID, під яким він порахований
+
+    function remove(id) {
+        const imdbID = counted.get(id);
+        if (imdbID === undefined) return;
+        counted.delete(id);
+        const m = movies.get(imdbID);
+        const e = m.entries.get(id);
+        m.entries.delete(id);
+        m.sum -= e.rating;
+        m.histogram[e.rating]--;
+        if (!m.entries.size) movies.delete(imdbID);
+    }
+
+    function add(item) {
+        remove(item.id);
+        if (!include(item)) return;
+        const { imdbID, rating } = item.payload;
+        if (!imdbID || !RATINGS.includes(rating)) return;
+
+        if (!movies.has(imdbID))
+            movies.set(imdbID, { sum: 0, histogram: Object.fromEntries(RATINGS.map((r) => [r, 0])), entries: new Map() });
+        const m = movies.get(imdbID);
+        m.entries.set(item.id, { rating, createdAt: item.createdAt });
+        m.sum += rating;
+        m.histogram[rating]++;
+        counted.set(item.id, imdbID);
+    }
+
+    function rebuild(items) {
+        movies.clear();
+        counted.clear();
+        for (const item of items) add(item);
+    }
+
+    // підписка на store.subscribe
+    function onChange(change) {
+        if (change.type === "load") rebuild(change.items);
+        else if (change.type === "insert" || change.type === "update") add(change.item);
+        else if (change.type === "remove") remove(change.prev.id);
+    }
+
+    // для фільму без оцінок — нулі, а не 404: фронт однаково показує "0 відгуків"
+    function get(imdbID) {
+        const m = movies.get(imdbID);
+        if (!m)
+            return { imdbID, count: 0, average: null, histogram: Object.fromEntries(RATINGS.map((r) => [r, 0])), latestCommentAt: null };
+
+        let latest = null;
+        for (const e of m.entries.values()) if (!latest || e.createdAt > latest) latest = e.createdAt;
+        const count = m.entries.size;
+        return {
+            imdbID,
+            count,
+            average: Math.round((m.sum / count) * 100) / 100,
+            histogram: { ...m.histogram },
+            latestCommentAt: latest,
+        };
+    }
+
+    return { add, remove, rebuild, onChange, get };
+}
+
+module.exports = { createRatingStats };
@@ -0,0 +1,212 @@
+// lib/storage/index.js — спільний інтерфейс сховища поверх адаптерів (json | log)
+const fs = require("fs");
+const { createJsonAdapter } = require("./json");
+const { createLogAdapter } = require("./log");
+
+const ADAPTERS = {
+    json: createJsonAdapter,
+    log: createLogAdapter,
+};
+
+function createAdapter(engine, dataDir) {
+    const factory = ADAPTERS[engine];
+    if (!factory) {
+        throw new Error(`Unknown DB_ENGINE "${engine}" (expected: ${Object.keys(ADAPTERS).join(", ")})`);
+    }
+    return factory(dataDir);
+}
+
+/**
+ * Стан БД тримається в пам'яті (завантажується один раз при старті),
+ * а адаптер лише зберігає окремі зміни: put / del / meta.
+ * Обробники не мутують items напряму — лише через insert/update/remove.
+ * batch(fn) — усі мутації всередині fn зберігаються одним записом адаптера
+ * (json: один перезапис db.json замість N).
+ * Запис не вдався (диск заповнений, немає прав) — зміна відкочується і в пам'яті,
+ * інакше сервер віддавав би стан, якого після рестарту вже не буде.
+ *
+ * subscribe(fn) — похідні структури (індекси, агрегати, журнал змін) отримують кожну
+ * збережену зміну: у batch — лише після запису адаптера, а якщо він не вдався — жодної:
+ *   { type: "load", items } | { type: "insert", item } | { type: "update", item, prev } | { type: "remove", prev }
+ * index(fn) — те саме для індексів у пам'яті, які читає код усередині batch (каталог,
+ * ревізії): вони бачать зміну одразу, а після відкату batch отримують load з відновленим станом.
+ */
+function createStorage({ engine = "json", dataDir }) {
+    const adapter = createAdapter(engine, dataDir);
+    let db = null;
+    const byId = new Map();
+    const listeners = [];
+    const indexes = [];
+    let pending = null; // у batch: { entries, undo, changes } до кінця fn
+
+    function write(entry, s) {
+        if (entry.op === "put") adapter.put(entry.item, s);
+        else if (entry.op === "del") adapter.del(entry.id, s);
+        else adapter.meta(entry.meta, s);
+    }
+
+    // undo повертає стан у пам'яті; підписники дізнаються про зміну лише після запису
+    function persist(entry, undo, change, s) {
+        if (pending) {
+            pending.entries.push(entry);
+            pending.undo.push(undo);
+            if (change) {
+                pending.changes.push(change);
+                notify(indexes, change);
+            }
+            return;
+        }
+        try {
+            write(entry, s);
+        } catch (err) {
+            undo();
+            throw err;
+        }
+        if (change) emit(change);
+    }
+
+    function notify(fns, change) {
+        for (const fn of fns) {
+            try {
+                fn(change);
+            } catch (err) {
+                console.error("storage listener failed:", err);
+            }
+        }
+    }
+
+    function emit(change) {
+        notify(indexes, change);
+        notify(listeners, change);
+    }
+
+    function load() {
+        if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
+        if (!adapter.exists() && adapter.name !== "json") {
+            // перший старт на новому рушії — одноразово підхоплюємо наявний db.json
+            const legacy = createAdapter("json", dataDir);
+            if (legacy.exists()) {
+                adapter.replace(legacy.load());
+                console.log(`storage: imported ${legacy.file} into ${adapter.file}`);
+            }
+        }
+        db = adapter.load();
+        byId.clear();
+        for (const item of db.items) byId.set(item.id, item);
+        emit({ type: "load", items: db.items });
+        return db;
+    }
+    function state() {
+        if (!db) load();
+        return db;
+    }
+
+    return {
+        engine: adapter.name,
+        load,
+        all: () => state().items,
+        byKind: (kind) => state().items.filter((i) => i.payload?.kind === kind),
+        get: (id) => (state(), byId.get(id) || null),
+
+        insert(item) {
+            const s = state();
+            if (byId.has(item.id)) throw new Error(`Item ${item.id} already exists`);
+            s.items.push(item);
+            byId.set(item.id, item);
+            const undo = () => {
+                s.items.splice(s.items.indexOf(item), 1);
+                byId.delete(item.id);
+            };
+            persist({ op: "put", item }, undo, { type: "insert", item }, s);
+            return item;
+        },
+        update(item) {
+            const s = state();
+            const prev = byId.get(item.id);
+            if (!prev) throw new Error(`Item ${item.id} not found`);
+            s.items[s.items.indexOf(prev)] = item;
+            byId.set(item.id, item);
+            const undo = () => {
+                s.items[s.items.indexOf(item)] = prev;
+                byId.set(item.id, prev);
+            };
+            persist({ op: "put", item }, undo, { type: "update", item, prev }, s);
+            return item;
+        },
+        remove(id) {
+            const s = state();
+            const prev = byId.get(id);
+            if (!prev) return null;
+            const at = s.items.indexOf(prev);
+            s.items.splice(at, 1);
+            byId.delete(id);
+            const undo = () => {
+                s.items.splice(at, 0, prev);
+                byId.set(id, prev);
+            };
+            persist({ op: "del", id }, undo, { type: "remove", prev }, s);
+            return prev;
+        },
+
+        // повна заміна стану (відновлення зі знімка); похідні структури отримують load
+        replace(next) {
+            adapter.replace(next);
+            return load();
+        },
+
+        // вкладений batch — частина зовнішнього; виняток у fn або в записі відкочує весь batch
+        batch(fn) {
+            if (pending) return fn();
+            const batch = (pending = { entries: [], undo: [], changes: [] });
+            let result;
+            try {
+                result = fn();
+                pending = null;
+                if (batch.entries.length) adapter.batch(batch.entries, state());
+            } catch (err) {
+                pending = null;
+                for (const undo of batch.undo.reverse()) undo();
+                if (batch.changes.length) notify(indexes, { type: "load", items: state().items });
+                throw err;
+            }
+            for (const change of batch.changes) notify(listeners, change);
+            return result;
+        },
+
+        subscribe(fn) {
+            listeners.push(fn);
+            return () => listeners.splice(listeners.indexOf(fn), 1);
+        },
+        index(fn) {
+            indexes.push(fn);
+            return () => indexes.splice(indexes.indexOf(fn), 1);
+        },
+
+        meta: () => state().meta,
+        setMeta(patch) {
+            const s = state();
+            const before = s.meta;
+            s.meta = { ...s.meta, ...patch };
+            persist({ op: "meta", meta: s.meta }, () => { s.meta = before; }, null, s);
+            return s.meta;
+        },
+    };
+}
+
+/**
+ * Одноразова міграція між адаптерами (наприклад db.json -> db.log).
+ * Не перезаписує існуюче цільове сховище без force.
+ */
+function migrateStorage({ dataDir, from = "json", to = "log", force = false }) {
+    const src = createAdapter(from, dataDir);
+    const dst = createAdapter(to, dataDir);
+    if (src.name === dst.name) throw new Error("Source and target engines are the same");
+    if (!src.exists()) throw new Error(`Nothing to migrate: ${src.file} not found`);
+    if (dst.exists() && !force) throw new Error(`${dst.file} already exists (use --force to overwrite)`);
+
+    const db = src.load();
+    dst.replace(db);
+    return { from: src.file, to: dst.file, items: db.items.length };
+}
+
+module.exports = { createStorage, migrateStorage, ENGINES: Object.keys(ADAPTERS) };
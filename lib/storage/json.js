@@ -0,0 +1,41 @@
+// lib/storage/json.js — класичний адаптер: увесь стан у data/db.json
+const fs = require("fs");
+const path = require("path");
+
+function emptyDb() {
+    return { items: [], meta: { createdAt: new Date().toISOString() } };
+}
+
+/**
+ * Кожна мутація перезаписує весь файл через .tmp + rename.
+ * Простий і сумісний з ручним редагуванням, але повільний на великих БД.
+ */
+function createJsonAdapter(dataDir) {
+    const file = path.join(dataDir, "db.json");
+
+    function write(db) {
+        const t = file + ".tmp";
+        fs.writeFileSync(t, JSON.stringify(db, null, 2));
+        fs.renameSync(t, file);
+    }
+
+    return {
+        name: "json",
+        file,
+        exists: () => fs.existsSync(file),
+        load() {
+            if (!fs.existsSync(file)) write(emptyDb());
+            const db = JSON.parse(fs.readFileSync(file, "utf8"));
+            if (!Array.isArray(db.items)) db.items = [];
+            if (!db.meta || typeof db.meta !== "object") db.meta = {};
+            return db;
+        },
+        put: (_item, db) => write(db),
+        del: (_id, db) => write(db),
+        meta: (_meta, db) => write(db),
+        batch: (_ops, db) => write(db),
+        replace: (db) => write(db),
+    };
+}
+
+module.exports = { createJsonAdapter, emptyDb };
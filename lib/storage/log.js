@@ -0,0 +1,78 @@
+// lib/storage/log.js — append-only журнал: data/db.log (NDJSON)
+const fs = require("fs");
+const path = require("path");
+const { emptyDb } = require("./json");
+
+// після скількох записів у журналі пробуємо його ущільнити
+const COMPACT_MIN_OPS = parseInt(process.env.DB_COMPACT_OPS || "1000", 10);
+
+/**
+ * Кожен рядок — одна операція:
+ *   {"op":"meta","meta":{...}}   — повна заміна meta
+ *   {"op":"put","item":{...}}    — вставка або оновлення item за id
+ *   {"op":"del","id":"..."}      — видалення
+ * Мутація дописує один рядок замість перезапису всього файлу.
+ * Коли операцій у журналі стає значно більше за живі items — журнал
+ * переписується знімком (meta + put для кожного item).
+ */
+function createLogAdapter(dataDir) {
+    const file = path.join(dataDir, "db.log");
+    let ops = 0;
+
+    function append(...entries) {
+        fs.appendFileSync(file, entries.map((e) => JSON.stringify(e) + "\n").join(""));
+        ops += entries.length;
+    }
+
+    function snapshot(db) {
+        const t = file + ".tmp";
+        const lines = [JSON.stringify({ op: "meta", meta: db.meta })];
+        for (const item of db.items) lines.push(JSON.stringify({ op: "put", item }));
+        fs.writeFileSync(t, lines.join("\n") + "\n");
+        fs.renameSync(t, file);
+        ops = lines.length;
+    }
+
+    function maybeCompact(db) {
+        if (ops >= COMPACT_MIN_OPS && ops > db.items.length * 2) snapshot(db);
+    }
+
+    return {
+        name: "log",
+        file,
+        exists: () => fs.existsSync(file),
+        load() {
+            if (!fs.existsSync(file)) snapshot(emptyDb());
+
+            const lines = fs.readFileSync(file, "utf8").split("\n");
+            const byId = new Map();
+            let meta = {};
+            ops = 0;
+
+            lines.forEach((line, n) => {
+                if (!line.trim()) return;
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch {
+                    // обірваний останній рядок (падіння посеред запису) — пропускаємо
+                    console.warn(`db.log: skipping corrupt line ${n + 1}`);
+                    return;
+                }
+                ops++;
+                if (entry.op === "meta") meta = entry.meta || {};
+                else if (entry.op === "put" && entry.item) byId.set(entry.item.id, entry.item);
+                else if (entry.op === "del") byId.delete(entry.id);
+            });
+
+            return { items: [...byId.values()], meta };
+        },
+        put(item, db) { append({ op: "put", item }); maybeCompact(db); },
+        del(id, db) { append({ op: "del", id }); maybeCompact(db); },
+        meta(meta) { append({ op: "meta", meta }); },
+        batch(entries, db) { append(...entries); maybeCompact(db); },
+        replace: (db) => snapshot(db),
+    };
+}
+
+module.exports = { createLogAdapter };
@@ -0,0 +1,53 @@
+// lib/threads.js — індекс відповідей: parentId -> id дочірніх items
+
+/**
+ * Тримає для кожного item список прямих відповідей, щоб дерево треду
+ * та replyCount не вимагали перебору всієї БД. Оновлюється через store.subscribe.
+ */
+function createReplyIndex() {
+    const children = new Map();
+
+    function link(item) {
+        const parentId = item.payload?.parentId;
+        if (!parentId) return;
+        if (!children.has(parentId)) children.set(parentId, new Set());
+        children.get(parentId).add(item.id);
+    }
+    function unlink(item) {
+        const set = children.get(item.payload?.parentId);
+        if (!set) return;
+        set.delete(item.id);
+        if (!set.size) children.delete(item.payload.parentId);
+    }
+
+    function onChange(change) {
+        if (change.type === "load") {
+            children.clear();
+            for (const item of change.items) link(item);
+        } else if (change.type === "insert") link(change.item);
+        else if (change.type === "update") {
+            unlink(change.prev);
+            link(change.item);
+        } else if (change.type === "remove") unlink(change.prev);
+    }
+
+    return {
+        onChange,
+        childIds: (id) => [...(children.get(id) || [])],
+    };
+}
+
+// глибина item у дереві: 0 — корінь; get(id) -> item | null
+function threadDepth(item, get) {
+    let depth = 0;
+    let cur = item;
+    const seen = new Set();
+    while (cur?.payload?.parentId && !seen.has(cur.id)) {
+        seen.add(cur.id);
+        cur = get(cur.payload.parentId);
+        depth++;
+    }
+    return depth;
+}
+
+module.exports = { createReplyIndex, threadDepth };
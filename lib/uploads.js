@@ -0,0 +1,153 @@
+// lib/uploads.js — облік завантажених файлів: власник, посилання з items, збирання сміття
+const fs = require("fs");
+const path = require("path");
+
+// "/uploads/<file>" або повний URL на нього -> ім'я файлу; інше — null
+function uploadFileName(url) {
+    if (typeof url !== "string" || !url) return null;
+    let pathname = url;
+    try {
+        pathname = new URL(url, "http://local").pathname;
+    } catch {
+        return null;
+    }
+    const m = /^\/uploads\/([\w-]+\.[a-z0-9]+)$/i.exec(pathname);
+    return m ? m[1] : null;
+}
+
+/**
+ * Завантаження — службові items kind "upload" з payload.files (оригінал + варіанти).
+ * Посиланням вважається будь-яке рядкове поле payload з URL файлу (imageUrl
+ * картки, поля зареєстрованих kind'ів) — GC не видалить те, що десь показується.
+ * Файл тримають і м'яко видалені items, і ревізії (payload.data) — інакше
+ * відновлення чи відкат повернув би посилання на вже стертий файл. Посилання
+ * зникає разом з остаточним видаленням item'а або ревізії.
+ */
+function createUploadTracker({ store }) {
+    const ownerOf = new Map();   // файл -> id upload
+    const refs = new Map();      // файл -> Set(id items, що на нього посилаються)
+    const refsOf = new Map();    // id item -> [файли]
+
+    function unindex(item) {
+        if (item.payload?.kind === "upload") {
+            for (const f of item.payload.files || []) ownerOf.delete(f);
+            return;
+        }
+        for (const f of refsOf.get(item.id) || []) {
+            const set = refs.get(f);
+            if (!set) continue;
+            set.delete(item.id);
+            if (!set.size) refs.delete(f);
+        }
+        refsOf.delete(item.id);
+    }
+
+    function index(item) {
+        const kind = item.payload?.kind;
+        if (kind === "upload") {
+            for (const f of item.payload.files || []) ownerOf.set(f, item.id);
+            return;
+        }
+        if (!kind) return;
+        const payload = kind === "revision" ? item.payload.data || {} : item.payload;
+        const files = Object.values(payload).map(uploadFileName).filter(Boolean);
+        if (!files.length) return;
+        refsOf.set(item.id, files);
+        for (const f of files) {
+            if (!refs.has(f)) refs.set(f, new Set());
+            refs.get(f).add(item.id);
+        }
+    }
+
+    // підписка на store.subscribe
+    function onChange(change) {
+        if (change.type === "load") {
+            ownerOf.clear();
+            refs.clear();
+            refsOf.clear();
+            for (const item of change.items) index(item);
+            return;
+        }
+        if (change.prev) unindex(change.prev);
+        if (change.item) index(change.item);
+    }
+
+    // upload, якому належить файл за URL (оригінал або варіант)
+    function uploadFor(url) {
+        const upload = store.get(ownerOf.get(uploadFileName(url)));
+        return upload?.payload?.kind === "upload" ? upload : null;
+    }
+
+    // кількість items (разом з видаленими й ревізіями), що посилаються на будь-який файл upload'а
+    function refCount(upload) {
+        const ids = new Set();
+        for (const f of upload.payload.files || []) for (const id of refs.get(f) || []) ids.add(id);
+        return ids.size;
+    }
+
+    const usage = (ownerField, userId) =>
+        store.byKind("upload").reduce((sum, u) => sum + (u.payload[ownerField] === userId ? u.payload.size || 0 : 0), 0);
+
+    return { onChange, uploadFor, refCount, usage, isKnown: (f) => ownerOf.has(f) || refs.has(f) };
+}
+
+/**
+ * Mark-and-sweep з grace-періодом:
+ *   - upload без посилань отримує orphanedAt (при першому проході);
+ *   - видаляється, коли і createdAt, і orphanedAt старші за grace;
+ *   - посилання знову з'явилось — orphanedAt знімається;
+ *   - файли на диску без upload'а й без посилань (старі завантаження,
+ *     обірвані записи) видаляються за mtime старшим за grace.
+ * dryRun лише рахує. Повертає { marked, removed, files, bytes }.
+ */
+function collectGarbage({ store, tracker, uploadDir, graceMs, dryRun = false, now = Date.now() }) {
+    const report = { marked: 0, removed: 0, files: [], bytes: 0 };
+    const stamp = new Date(now).toISOString();
+    const expired = (iso) => now - Date.parse(iso) >= graceMs;
+
+    const unlink = (name) => {
+        const file = path.join(uploadDir, name);
+        let size = 0;
+        try {
+            size = fs.statSync(file).size;
+            if (!dryRun) fs.unlinkSync(file);
+        } catch {
+            return; // вже немає
+        }
+        report.files.push(name);
+        report.bytes += size;
+    };
+
+    // усі позначки й видалення — один запис у сховище; файли стираються лише після нього
+    const doomed = [];
+    store.batch(() => {
+        for (const upload of [...store.byKind("upload")]) {
+            const p = upload.payload;
+            if (tracker.refCount(upload) > 0) {
+                if (p.orphanedAt && !dryRun) store.update({ ...upload, payload: { ...p, orphanedAt: null } });
+                continue;
+            }
+            if (!p.orphanedAt) {
+                report.marked++;
+                if (!dryRun) store.update({ ...upload, payload: { ...p, orphanedAt: stamp } });
+                continue;
+            }
+            if (!expired(upload.createdAt) || !expired(p.orphanedAt)) continue;
+            doomed.push(...(p.files || []));
+            if (!dryRun) store.remove(upload.id);
+            report.removed++;
+        }
+    });
+    for (const name of doomed) unlink(name);
+
+    if (fs.existsSync(uploadDir)) {
+        for (const name of fs.readdirSync(uploadDir)) {
+            if (tracker.isKnown(name)) continue;
+            const stat = fs.statSync(path.join(uploadDir, name));
+            if (stat.isFile() && now - stat.mtimeMs >= graceMs) unlink(name);
+        }
+    }
+    return report;
+}
+
+module.exports = { createUploadTracker, collectGarbage, uploadFileName };
@@ -0,0 +1,240 @@
+// lib/users.js — облікові записи, паролі (scrypt) та сесії (access JWT + refresh)
+const crypto = require("crypto");
+const { promisify } = require("util");
+const jwt = require("./jwt");
+
+const scrypt = promisify(crypto.scrypt);
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+const sha256 = (s) => crypto.createHash("sha256").update(String(s)).digest("hex");
+
+// формат: scrypt$N$r$p$salt$hash — параметри зберігаються разом із хешем
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, SCRYPT.keylen, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p });
+    return ["scrypt", SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString("base64"), hash.toString("base64")].join("$");
+}
+
+async function verifyPassword(password, stored) {
+    const [algo, N, r, p, salt, hash] = String(stored || "").split("$");
+    if (algo !== "scrypt" || !hash) return false;
+    const expected = Buffer.from(hash, "base64");
+    const actual = await scrypt(password, Buffer.from(salt, "base64"), expected.length, { N: +N, r: +r, p: +p });
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// хеш випадкового пароля: з ним звіряється вхід під невідомим логіном, щоб scrypt
+// рахувався завжди і за часом відповіді не можна було перебрати наявні логіни
+let dummyHash = null;
+async function checkPassword(user, password) {
+    dummyHash ||= hashPassword(crypto.randomBytes(16).toString("hex"));
+    const ok = await verifyPassword(String(password), user?.payload.passwordHash || (await dummyHash));
+    return ok && !!user;
+}
+
+/**
+ * Користувачі та сесії — звичайні items (kind "user" / "session").
+ * Refresh-токен має вигляд "<sessionId>.<secret>", у БД лише sha256 від нього.
+ * Access-токен — JWT { sub, sid, typ: "access" }; logout видаляє сесію,
+ * тож access-токени цієї сесії теж перестають діяти.
+ */
+function createUsers({ store, secret, accessTtl, refreshTtl }) {
+    const byUsername = new Map();
+    const byLegacyHash = new Map();
+
+    function indexUser(item, on) {
+        const p = item.payload;
+        if (p.username) on ? byUsername.set(p.username.toLowerCase(), item.id) : byUsername.delete(p.username.toLowerCase());
+        if (p.legacyTokenHash) on ? byLegacyHash.set(p.legacyTokenHash, item.id) : byLegacyHash.delete(p.legacyTokenHash);
+    }
+    store.subscribe((change) => {
+        if (change.type === "load") {
+            byUsername.clear();
+            byLegacyHash.clear();
+            for (const i of change.items) if (i.payload?.kind === "user") indexUser(i, true);
+            return;
+        }
+        if (change.prev?.payload?.kind === "user") indexUser(change.prev, false);
+        if (change.item?.payload?.kind === "user") indexUser(change.item, true);
+    });
+
+    function newItem(payload) {
+        const now = new Date().toISOString();
+        return { id: crypto.randomUUID(), createdAt: now, updatedAt: now, version: 1, payload };
+    }
+
+    const getUser = (id) => {
+        const item = id && store.get(id);
+        return item?.payload?.kind === "user" ? item : null;
+    };
+    const findByUsername = (username) => getUser(byUsername.get(String(username).toLowerCase()));
+
+    function createUser({ username = null, passwordHash = null, name = null, anonymous = false, legacyTokenHash = null }) {
+        const payload = { kind: "user", username, name, passwordHash, anonymous, role: "user" };
+        if (legacyTokenHash) payload.legacyTokenHash = legacyTokenHash;
+        return store.insert(newItem(payload));
+    }
+
+    function updateUser(user, patch) {
+        const merged = {
+            ...user,
+            updatedAt: new Date().toISOString(),
+            version: (user.version || 1) + 1,
+            payload: { ...user.payload, ...patch },
+        };
+        return store.update(merged);
+    }
+
+    /* ------------------------------ sessions ------------------------------ */
+    function purgeExpired(userId) {
+        const now = new Date().toISOString();
+        for (const s of store.byKind("session")) {
+            if (s.payload.userId === userId && s.payload.expiresAt <= now) store.remove(s.id);
+        }
+    }
+
+    function issueSession(user) {
+        purgeExpired(user.id);
+        const raw = crypto.randomBytes(32).toString("base64url");
+        const session = newItem({
+            kind: "session",
+            userId: user.id,
+            tokenHash: "",
+            expiresAt: new Date(Date.now() + refreshTtl * 1000).toISOString(),
+        });
+        const refreshToken = `${session.id}.${raw}`;
+        session.payload.tokenHash = sha256(refreshToken);
+        store.insert(session);
+
+        return {
+            tokenType: "Bearer",
+            accessToken: jwt.sign({ sub: user.id, sid: session.id, typ: "access" }, secret, accessTtl),
+            expiresIn: accessTtl,
+            refreshToken,
+            refreshExpiresAt: session.payload.expiresAt,
+            user: publicUser(user),
+        };
+    }
+
+    function findSession(refreshToken) {
+        const sid = String(refreshToken || "").split(".")[0];
+        const session = store.get(sid);
+        if (session?.payload?.kind !== "session") return null;
+        const a = Buffer.from(session.payload.tokenHash);
+        const b = Buffer.from(sha256(refreshToken));
+        if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+        if (session.payload.expiresAt <= new Date().toISOString()) {
+            store.remove(session.id);
+            return null;
+        }
+        return session;
+    }
+
+    // ротація: старий refresh-токен одразу стає недійсним
+    function refresh(refreshToken) {
+        const session = findSession(refreshToken);
+        const user = session && getUser(session.payload.userId);
+        if (!user) return null;
+        store.remove(session.id);
+        return issueSession(user);
+    }
+
+    function revokeRefresh(refreshToken) {
+        const session = findSession(refreshToken);
+        if (session) store.remove(session.id);
+    }
+
+    function revoke(sessionId) {
+        const s = store.get(sessionId);
+        if (s?.payload?.kind === "session") store.remove(s.id);
+    }
+
+    /**
+     * Ідентичність запиту: Authorization: Bearer <access JWT> або (для старих
+     * клієнтів) x-user-token, що належить перенесеному анонімному акаунту.
+     * Повертає { user, sessionId } | { error: { code, message }, guest? } | {}.
+     * guest: true — невідомий x-user-token (акаунт видалено, токен з іншої
+     * інсталяції): читати можна як гість, запис отримує 401.
+     */
+    function authenticate(req) {
+        const auth = String(req.headers.authorization || "");
+        if (auth.startsWith("Bearer ")) {
+            let claims;
+            try {
+                claims = jwt.verify(auth.slice(7).trim(), secret);
+            } catch (err) {
+                return { error: { code: err.code, message: err.message } };
+            }
+            const session = store.get(claims.sid);
+            const user = getUser(claims.sub);
+            if (claims.typ !== "access" || session?.payload?.kind !== "session" || !user)
+                return { error: { code: "token_invalid", message: "Session is no longer valid" } };
+            return { user, sessionId: session.id };
+        }
+
+        const legacy = String(req.headers["x-user-token"] || "");
+        if (legacy) {
+            const user = getUser(byLegacyHash.get(sha256(legacy)));
+            if (!user) return { error: { code: "token_invalid", message: "Unknown x-user-token, sign in via /auth" }, guest: true };
+            return { user, sessionId: null };
+        }
+        return {};
+    }
+
+    /**
+     * Одноразове перенесення: payload.authorToken (сирий секрет) -> id акаунта.
+     * Кожен унікальний токен стає анонімним акаунтом з legacyTokenHash, тож
+     * старі клієнти з тим самим x-user-token і далі бачать own: true.
+     * Повторний запуск нічого не змінює.
+     */
+    function adoptLegacyOwners(defFor) {
+        let items = 0;
+        let accounts = 0;
+        for (const item of [...store.all()]) {
+            const def = defFor(item.payload?.kind);
+            if (!def) continue;
+            const field = item.payload.authorToken !== undefined ? "authorToken" : def.ownerField;
+            const token = item.payload[field];
+            if (typeof token !== "string" || !token || getUser(token)) continue;
+
+            const hash = sha256(token);
+            let userId = byLegacyHash.get(hash);
+            if (!userId) {
+                userId = createUser({ anonymous: true, legacyTokenHash: hash }).id;
+                accounts++;
+            }
+            const payload = { ...item.payload };
+            delete payload[field];
+            payload[def.ownerField] = userId;
+            store.update({ ...item, payload });
+            items++;
+        }
+        return { items, accounts };
+    }
+
+    return {
+        getUser,
+        findByUsername,
+        createUser,
+        updateUser,
+        issueSession,
+        refresh,
+        revoke,
+        revokeRefresh,
+        authenticate,
+        adoptLegacyOwners,
+    };
+}
+
+function publicUser(user) {
+    return {
+        id: user.id,
+        username: user.payload.username || null,
+        name: user.payload.name || null,
+        anonymous: !!user.payload.anonymous,
+        role: user.payload.role || "user",
+        createdAt: user.createdAt,
+    };
+}
+
+module.exports = { createUsers, hashPassword, verifyPassword, checkPassword, publicUser };
@@ -0,0 +1,261 @@
+// lib/webhooks.js — вихідні вебхуки: підписки, HMAC-підпис, черга доставки з повторами
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const ACTIONS = ["created", "updated", "deleted", "restored", "moderated", "reported"];
+const EVENT_PATTERN = `^(\\*|(\\*|[A-Za-z][\\w-]*)\\.(\\*|${ACTIONS.join("|")}))$`;
+
+// "comment.*", "*.deleted", "*" — фільтри подій підписки
+function matchesEvent(patterns, event) {
+    const [kind, action] = event.split(".");
+    return patterns.some((p) => {
+        if (p === "*") return true;
+        const [pk, pa] = p.split(".");
+        return (pk === "*" || pk === kind) && (pa === "*" || pa === action);
+    });
+}
+
+/**
+ * Підпис як у Stripe: X-Webhook-Signature: t=<unix>,v1=<hex>,
+ * де v1 = HMAC-SHA256(secret, "<t>.<body>"). Отримувач перевіряє підпис
+ * і свіжість t (захист від повторного відтворення).
+ */
+function sign(secret, body, t = Math.floor(Date.now() / 1000)) {
+    const v1 = crypto.createHmac("sha256", secret).update(`${t}.${body}`).digest("hex");
+    return `t=${t},v1=${v1}`;
+}
+
+/**
+ * Черга доставок і курсор журналу змін — окремий файл DATA_DIR/webhooks.log
+ * (NDJSON), а не db.json: інакше кожна подія й кожна спроба переписували б
+ * усю базу. Рядки: { put: доставка } | { del: id } | { seq }; стан — їх
+ * програвання. Файл стискається, коли рядків удвічі більше, ніж доставок.
+ */
+function createDeliveryLog(file) {
+    const deliveries = new Map(); // id -> доставка
+    let seq; // undefined — вебхуки ще не запускались
+    let lines = 0;
+
+    if (fs.existsSync(file)) {
+        for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+            if (!line.trim()) continue;
+            let rec;
+            try {
+                rec = JSON.parse(line);
+            } catch {
+                continue; // обірваний рядок після падіння
+            }
+            if (rec.put) deliveries.set(rec.put.id, rec.put);
+            else if (rec.del) deliveries.delete(rec.del);
+            else if (rec.seq !== undefined) seq = rec.seq;
+            lines++;
+        }
+    }
+
+    function compact() {
+        const out = [...deliveries.values()].map((d) => JSON.stringify({ put: d }));
+        if (seq !== undefined) out.push(JSON.stringify({ seq }));
+        const t = file + ".tmp";
+        fs.writeFileSync(t, out.map((l) => l + "\n").join(""));
+        fs.renameSync(t, file);
+        lines = out.length;
+    }
+
+    // доставки й курсор одним дописом — після падіння подія не загубиться між ними
+    function commit({ put = [], del = [], cursor } = {}) {
+        const recs = [...put.map((d) => ({ put: d })), ...del.map((id) => ({ del: id }))];
+        if (cursor !== undefined) recs.push({ seq: cursor });
+        if (!recs.length) return;
+        for (const d of put) deliveries.set(d.id, d);
+        for (const id of del) deliveries.delete(id);
+        if (cursor !== undefined) seq = cursor;
+        fs.appendFileSync(file, recs.map((r) => JSON.stringify(r) + "\n").join(""));
+        lines += recs.length;
+        if (lines > Math.max(100, deliveries.size * 2)) compact();
+    }
+
+    return { all: () => [...deliveries.values()], get: (id) => deliveries.get(id) || null, cursor: () => seq, commit };
+}
+
+/**
+ * Підписки — службові items kind "webhook", доставки (status: pending | dead)
+ * з курсором — у createDeliveryLog. Джерело подій — журнал змін (lib/changes.js):
+ * курсор зберігається, тож після рестарту події між падінням і стартом
+ * теж потрапляють у чергу.
+ *
+ * describe(entry) -> [{ event, data }] перетворює запис журналу на події.
+ * run(fn) — черга мутацій сервера: усі записи в store йдуть через неї.
+ */
+function createWebhooks({ store, dataDir, changeLog, run, fetchFn, describe, timeoutMs, maxAttempts, retryBaseSec, retryMaxSec, pollMs }) {
+    let pending = [];
+    let flushing = false;
+    let busy = false;
+    const queue = createDeliveryLog(path.join(dataDir, "webhooks.log"));
+
+    const subscriptions = () => store.byKind("webhook").filter((w) => w.payload.active !== false);
+
+    function newDelivery(webhook, event, data, now) {
+        const id = crypto.randomUUID();
+        return {
+            id,
+            createdAt: now,
+            webhookId: webhook.id,
+            event,
+            body: JSON.stringify({ id, event, occurredAt: now, data }),
+            status: "pending",
+            attempts: 0,
+            nextAttemptAt: now,
+            lastAttemptAt: null,
+            lastStatus: null,
+            lastError: null,
+        };
+    }
+
+    function enqueue(entries) {
+        const now = new Date().toISOString();
+        const hooks = subscriptions();
+        const put = [];
+        for (const entry of entries) {
+            for (const { event, data } of describe(entry)) {
+                for (const w of hooks) if (matchesEvent(w.payload.events, event)) put.push(newDelivery(w, event, data, now));
+            }
+        }
+        if (entries.length) queue.commit({ put, cursor: entries[entries.length - 1].seq });
+    }
+
+    // записи журналу збираються пачкою і ставляться в чергу після поточної мутації
+    function onEntry(entry) {
+        pending.push(entry);
+        if (flushing) return;
+        flushing = true;
+        setImmediate(() => {
+            const batch = pending;
+            pending = [];
+            flushing = false;
+            run(() => enqueue(batch)).catch((err) => console.error("webhooks: enqueue failed:", err));
+        });
+    }
+
+    async function post(webhook, delivery) {
+        const ctrl = new AbortController();
+        const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+        try {
+            const r = await fetchFn(webhook.payload.url, {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                    "User-Agent": "my-json-db-webhooks/1",
+                    "X-Webhook-Id": delivery.id,
+                    "X-Webhook-Event": delivery.event,
+                    "X-Webhook-Signature": sign(webhook.payload.secret, delivery.body),
+                },
+                body: delivery.body,
+                signal: ctrl.signal,
+            });
+            return { ok: r.ok, status: r.status, error: r.ok ? null : `HTTP ${r.status}` };
+        } catch (err) {
+            return { ok: false, status: null, error: ctrl.signal.aborted ? `Timed out after ${timeoutMs} ms` : String(err.message || err) };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // 2xx — доставка видаляється; інакше повтор через base * 2^(n-1), після maxAttempts — dead
+    async function attempt(delivery) {
+        const webhook = store.get(delivery.webhookId);
+        const result = webhook
+            ? await post(webhook, delivery)
+            : { ok: false, status: null, error: "Webhook subscription was removed" };
+
+        await run(() => {
+            const current = queue.get(delivery.id);
+            if (!current || current.status !== "pending") return;
+            if (result.ok) return queue.commit({ del: [current.id] });
+
+            const attempts = current.attempts + 1;
+            const delay = Math.min(retryMaxSec, retryBaseSec * 2 ** (attempts - 1));
+            const now = new Date();
+            queue.commit({
+                put: [{
+                    ...current,
+                    attempts,
+                    status: attempts >= maxAttempts || !webhook ? "dead" : "pending",
+                    nextAttemptAt: new Date(now.getTime() + delay * 1000).toISOString(),
+                    lastAttemptAt: now.toISOString(),
+                    lastStatus: result.status,
+                    lastError: result.error,
+                }],
+            });
+        });
+        return result;
+    }
+
+    // по одній доставці за раз — повільний отримувач не з'їдає сервер
+    async function tick() {
+        if (busy) return;
+        busy = true;
+        try {
+            const now = new Date().toISOString();
+            const due = queue
+                .all()
+                .filter((d) => d.status === "pending" && d.nextAttemptAt <= now)
+                .sort((a, b) => (a.nextAttemptAt < b.nextAttemptAt ? -1 : 1));
+            for (const d of due) await attempt(d);
+        } catch (err) {
+            console.error("webhooks: delivery loop failed:", err);
+        } finally {
+            busy = false;
+        }
+    }
+
+    // dead -> pending з нуля спроб; викликається в черзі мутацій
+    function replay(delivery) {
+        const now = new Date().toISOString();
+        const replayed = { ...delivery, status: "pending", attempts: 0, nextAttemptAt: now, lastError: null };
+        queue.commit({ put: [replayed] });
+        return replayed;
+    }
+
+    // тестова подія одній підписці поза фільтрами; викликається в черзі мутацій
+    function ping(webhook) {
+        const delivery = newDelivery(webhook, "webhook.ping", { webhookId: webhook.id }, new Date().toISOString());
+        queue.commit({ put: [delivery] });
+        return delivery;
+    }
+
+    // найновіші спочатку; ?status, ?webhookId
+    const deliveries = ({ status, webhookId } = {}) =>
+        queue
+            .all()
+            .filter((d) => (!status || d.status === status) && (!webhookId || d.webhookId === webhookId))
+            .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+
+    const counts = (webhookId) => {
+        const own = deliveries({ webhookId });
+        return { pending: own.filter((d) => d.status === "pending").length, dead: own.filter((d) => d.status === "dead").length };
+    };
+
+    // викликаються в черзі мутацій
+    const drop = (id) => queue.commit({ del: [id] });
+    const dropFor = (webhookId) => queue.commit({ del: deliveries({ webhookId }).map((d) => d.id) });
+
+    function start() {
+        // пропущене, поки сервер лежав; без курсора (перший старт) — лише нові події
+        const cursor = queue.cursor();
+        let missed = cursor === undefined ? [] : changeLog.since(cursor);
+        if (missed === null) {
+            console.warn("webhooks: change log no longer has events since the last run, some were skipped");
+            missed = [];
+        }
+        run(() => (missed.length ? enqueue(missed) : queue.commit({ cursor: changeLog.lastSeq() })))
+            .catch((err) => console.error("webhooks: replay failed:", err));
+
+        changeLog.subscribe(onEntry);
+        setInterval(tick, pollMs).unref();
+    }
+
+    return { start, tick, replay, ping, deliveries, delivery: queue.get, counts, drop, dropFor };
+}
+
+module.exports = { createWebhooks, matchesEvent, sign, ACTIONS, EVENT_PATTERN };
@@ -0,0 +1,10 @@
+// migrations/002-quarantine-kindless-items.js — items без payload.kind з часів універсальної JSON-БД
+// Жоден маршрут їх не бачить (усе йде через kind), тож вони лише займають місце в db.json.
+module.exports = {
+    description: "Move items without payload.kind to quarantine",
+    up(db, { quarantine }) {
+        for (const item of db.items) {
+            if (!item.payload?.kind) quarantine(item, "Item has no payload.kind");
+        }
+    },
+};
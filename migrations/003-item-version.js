@@ -0,0 +1,10 @@
+// migrations/003-item-version.js — items, створені до ETag / If-Match, не мають version
+// itemVersion() і так вважає їх версією 1; тепер це записано явно.
+module.exports = {
+    description: "Set version 1 on items created before optimistic locking",
+    up(db) {
+        for (const item of db.items) {
+            if (item.version === undefined) item.version = 1;
+        }
+    },
+};
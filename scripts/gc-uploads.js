@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+// scripts/gc-uploads.js — прибирання файлів, на які ніщо не посилається (сервер має бути зупинений)
+//   node scripts/gc-uploads.js [--grace-hours 24] [--dry-run]
+require('dotenv').config();
+
+const path = require("path");
+const { createStorage } = require("../lib/storage");
+const { createUploadTracker, collectGarbage } = require("../lib/uploads");
+
+const args = process.argv.slice(2);
+const opt = (name, def) => {
+    const i = args.indexOf(`--${name}`);
+    return i !== -1 && args[i + 1] ? args[i + 1] : def;
+};
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+
+try {
+    const store = createStorage({ engine: process.env.DB_ENGINE || "json", dataDir: DATA_DIR });
+    const tracker = createUploadTracker({ store });
+    store.subscribe(tracker.onChange);
+    store.load();
+
+    const dryRun = args.includes("--dry-run");
+    const r = collectGarbage({
+        store,
+        tracker,
+        uploadDir: path.join(DATA_DIR, "uploads"),
+        graceMs: parseFloat(opt("grace-hours", process.env.UPLOAD_GC_GRACE_HOURS || "24")) * 3600 * 1000,
+        dryRun,
+    });
+    console.log(`${dryRun ? "Would remove" : "Removed"} ${r.removed} uploads, ${r.files.length} files (${r.bytes} bytes); newly orphaned: ${r.marked}`);
+    for (const f of r.files) console.log(`  ${f}`);
+} catch (err) {
+    console.error(String(err.message || err));
+    process.exit(1);
+}
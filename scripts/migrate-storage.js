@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+// scripts/migrate-storage.js — одноразове перенесення даних між DB_ENGINE
+//   node scripts/migrate-storage.js [--from json] [--to log] [--force]
+require('dotenv').config();
+
+const path = require("path");
+const { migrateStorage } = require("../lib/storage");
+
+const args = process.argv.slice(2);
+const opt = (name, def) => {
+    const i = args.indexOf(`--${name}`);
+    return i !== -1 && args[i + 1] ? args[i + 1] : def;
+};
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+
+try {
+    const r = migrateStorage({
+        dataDir: DATA_DIR,
+        from: opt("from", "json"),
+        to: opt("to", "log"),
+        force: args.includes("--force"),
+    });
+    console.log(`Migrated ${r.items} items: ${r.from} -> ${r.to}`);
+    console.log("Set DB_ENGINE accordingly and restart the server.");
+} catch (err) {
+    console.error(String(err.message || err));
+    process.exit(1);
+}
@@ -11,61 +11,82 @@ const fs = require("fs");
 const path = require("path");
 const express = require("express");
 const cors = require("cors");
-const { randomUUID } = require("crypto");
+const { randomUUID, randomBytes, createHash } = require("crypto");
 const Ajv = require("ajv");
 const addFormats = require("ajv-formats");
 const multer = require("multer");
-const mime = require("mime-types");
+const { createStorage } = require("./lib/storage");
+const { createQueue } = require("./lib/queue");
+const { createRegistry, projectPayload, schemaDefaults, collectionSpecSchema } = require("./lib/collections");
+const { parseListQuery, runListQuery, selectFields } = require("./lib/query");
+const { createSearchIndex } = require("./lib/search");
+const { createReplyIndex, threadDepth } = require("./lib/threads");
+const { createRatingStats } = require("./lib/stats");
+const { createOmdbClient } = require("./lib/omdb");
+const { createCatalog, publicMovie } = require("./lib/movies");
+const { createImagePipeline } = require("./lib/images");
+const { createUploadTracker, collectGarbage } = require("./lib/uploads");
+const { createChangeLog } = require("./lib/changes");
+const { createWebhooks, EVENT_PATTERN } = require("./lib/webhooks");
+const { createBackups } = require("./lib/backups");
+const { createRevisions } = require("./lib/revisions");
+const { createMigrator, createQuarantine } = require("./lib/migrations");
+const { createRateLimiter, createDuplicateDetector, parseRate, parseCount } = require("./lib/ratelimit");
+const { csvRow, parseCsv } = require("./lib/csv");
+const { createApiDoc, ref, nullable } = require("./lib/openapi");
+const { createShares } = require("./lib/shares");
+const { Readable, pipeline } = require("stream");
+const { createUsers, hashPassword, checkPassword, publicUser } = require("./lib/users");
+const { grantFor, ACTIONS, ASSIGNABLE_ROLES, DEFAULT_PERMISSIONS } = require("./lib/permissions");
 
 /* --------------------------------- app ------------------------------------ */
 const app = express();
 const PORT = process.env.PORT || 3000;
+// за проксі (Render, nginx): req.ip з X-Forwarded-For — інакше ліміти бачать лише IP проксі
+if (process.env.TRUST_PROXY) {
+    const v = process.env.TRUST_PROXY;
+    app.set("trust proxy", v === "true" ? true : /^\d+$/.test(v) ? parseInt(v, 10) : v);
+}
 
-app.use(cors());
+app.use(cors({
+    exposedHeaders: ["ETag", "X-Cache", "Age", "Retry-After", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "RateLimit-Policy"],
+}));
 app.use(express.json({ limit: "2mb" }));
 app.use((req, res, next) => {
     res.setHeader("Content-Type", "application/json; charset=utf-8");
     next();
 });
 app.use((req, _res, next) => {
-    console.log(`${new Date().toISOString()}  ${req.method} ${req.url}`);
+    // токен з ?access_token= (SSE) у лог не пишемо
+    console.log(`${new Date().toISOString()}  ${req.method} ${req.url.replace(/access_token=[^&]*/, "access_token=***")}`);
     next();
 });
 
 /* ------------------------------ storage/dirs ------------------------------ */
 const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
-const DB_PATH = path.join(DATA_DIR, "db.json");
+// json — увесь стан у db.json (як раніше); log — append-only db.log (scripts/migrate-storage.js)
+const DB_ENGINE = process.env.DB_ENGINE || "json";
 const UPLOAD_DIR = path.join(DATA_DIR, "uploads");
 
+const store = createStorage({ engine: DB_ENGINE, dataDir: DATA_DIR });
+
 function ensureDb() {
     if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
     if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
-    if (!fs.existsSync(DB_PATH)) {
-        fs.writeFileSync(
-            DB_PATH,
-            JSON.stringify({ items: [], meta: { createdAt: new Date().toISOString() } }, null, 2)
-        );
-    }
-}
-function readDb() { ensureDb(); return JSON.parse(fs.readFileSync(DB_PATH, "utf8")); }
-function writeDb(db) {
-    const t = DB_PATH + ".tmp";
-    fs.writeFileSync(t, JSON.stringify(db, null, 2));
-    fs.renameSync(t, DB_PATH);
-}
-function paginate(arr, page = 1, limit = 50) {
-    const p = Math.max(1, +page || 1);
-    const l = Math.min(200, Math.max(1, +limit || 50));
-    const s = (p - 1) * l;
-    return { data: arr.slice(s, s + l), page: p, limit: l, total: arr.length };
 }
 
 /* -------------------------- static uploads route -------------------------- */
 app.use(
     "/uploads",
     express.static(UPLOAD_DIR, {
-        setHeaders: (res) =>
-            res.setHeader("Cache-Control", "public, max-age=31536000, immutable"),
+        setHeaders: (res) => {
+            // тип за розширенням файлу, а не глобальний application/json (з nosniff інакше не покажеться)
+            res.removeHeader("Content-Type");
+            res.setHeader("Cache-Control", "public, max-age=31536000, immutable");
+            // старі SVG з диска не повинні виконуватись як документ нашого origin
+            res.setHeader("X-Content-Type-Options", "nosniff");
+            res.setHeader("Content-Security-Policy", "default-src 'none'; img-src 'self'; style-src 'unsafe-inline'; sandbox");
+        },
     })
 );
 
@@ -88,6 +109,60 @@ function formatAjvErrors(errors = []) {
     });
 }
 
+/* -------------------------------- openapi --------------------------------- */
+// GET /openapi.json — з тих самих схем Ajv; кожен маршрут описується поруч з app.get/post
+// VALIDATE_RESPONSES (за замовчуванням — при NODE_ENV=development): відповіді звіряються з описом
+const VALIDATE_RESPONSES = (process.env.VALIDATE_RESPONSES || String(process.env.NODE_ENV === "development")) === "true";
+
+// помилки — { error, errors: [{ field, message, code }] } як у formatAjvErrors
+const FIELD_ERROR = {
+    type: "object",
+    properties: { field: { type: "string" }, message: { type: "string" }, code: { type: "string" } },
+    required: ["field", "message"],
+};
+const api = createApiDoc({
+    ajv,
+    info: { title: "my-json-db", version: require("./package.json").version },
+    errorSchema: {
+        type: "object",
+        properties: { error: { type: "string" }, errors: { type: "array", items: FIELD_ERROR } },
+        required: ["error"],
+    },
+});
+if (VALIDATE_RESPONSES) app.use(api.validateResponses());
+
+const int = (minimum = 0) => ({ type: "integer", minimum });
+const OK = { type: "object", additionalProperties: false, properties: { ok: { const: true } }, required: ["ok"] };
+const REMOVED = api.schema("Removed", {
+    type: "object",
+    additionalProperties: false,
+    properties: { ok: { const: true }, removedId: { type: "string" } },
+    required: ["ok", "removedId"],
+});
+// сторінка масиву за ?page / ?limit (limit — не більше 200)
+function paginate(arr, page = 1, limit, defaultLimit = 50) {
+    const p = Math.max(1, +page || 1);
+    const l = Math.min(200, Math.max(1, +limit || defaultLimit));
+    const s = (p - 1) * l;
+    return { data: arr.slice(s, s + l), page: p, limit: l, total: arr.length };
+}
+
+// сторінка списку; nextCursor — у списках items (runListQuery), page там немає при ?cursor=
+function pageOf(item, { cursor = false } = {}) {
+    return {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+            data: { type: "array", items: item },
+            page: int(1),
+            limit: int(1),
+            total: int(),
+            ...(cursor ? { nextCursor: nullable({ type: "string" }) } : {}),
+        },
+        required: ["data", "limit", "total", ...(cursor ? ["nextCursor"] : ["page"])],
+    };
+}
+
 const itemSchema = {
     type: "object",
     additionalProperties: false,
@@ -95,6 +170,22 @@ const itemSchema = {
         id: { type: "string", format: "uuid" },
         createdAt: { type: "string" },
         updatedAt: { type: "string" },
+        version: { type: "integer", minimum: 1 },
+        moderation: {
+            type: "object",
+            properties: {
+                status: { enum: ["pending", "approved", "hidden"] },
+                reason: { anyOf: [{ type: "string" }, { type: "null" }] },
+                by: { anyOf: [{ type: "string" }, { type: "null" }] },
+                at: { type: "string" },
+            },
+            required: ["status"],
+        },
+        // м'яке видалення: item лишається в БД, доки його не відновлять
+        deletedAt: { type: "string" },
+        deletedBy: { anyOf: [{ type: "string" }, { type: "null" }] },
+        // реакції: тип -> id акаунтів, що її поставили
+        reactions: { type: "object", additionalProperties: { type: "array", items: { type: "string" } } },
         payload: { type: "object", additionalProperties: true },
     },
     required: ["id", "createdAt", "updatedAt", "payload"],
@@ -110,11 +201,10 @@ const commentPayloadSchema = {
         name: { type: "string", minLength: 2 },
         message: { type: "string", minLength: 2 },
         rating: { type: "integer", minimum: 1, maximum: 5, default: 5 },
-        authorToken: { type: "string", minLength: 16 },
+        authorId: { type: "string", format: "uuid" },   // id акаунта автора (lib/users.js)
     },
-    required: ["kind", "imdbID", "name", "message", "authorToken"],
+    required: ["kind", "imdbID", "name", "message", "authorId"],
 };
-const validateCommentPayload = ajv.compile(commentPayloadSchema);
 
 /* ------------------------- userCard (image optional) ---------------------- */
 const cardPayloadSchema = {
@@ -124,414 +214,3067 @@ const cardPayloadSchema = {
         kind: { const: "userCard" },
         name: { type: "string", minLength: 2 },         // ім’я автора (публічно)
         movieTitle: { type: "string", minLength: 1 },   // назва фільму
+        // фільм з локального каталогу (kind "movie"); необов'язковий
+        imdbID: { anyOf: [{ type: "string", pattern: "^tt\\d{5,}$" }, { type: "null" }] },
         title: { type: "string", minLength: 1 },        // заголовок
         description: { type: "string", minLength: 2 },  // опис
         // imageUrl може бути відсутнім, пустим або null
         imageUrl: { anyOf: [{ type: "string" }, { type: "null" }] },
         isPublic: { type: "boolean", default: false },
-        authorToken: { type: "string", minLength: 16 },
+        authorId: { type: "string", format: "uuid" },
+    },
+    required: ["kind", "name", "movieTitle", "title", "description", "authorId"],
+};
+
+/* ------------------- cardCollection (добірки карток користувача) ------------------- */
+const cardCollectionPayloadSchema = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        kind: { const: "cardCollection" },
+        title: { type: "string", minLength: 1, maxLength: 120 },  // "Best of 2024"
+        description: { anyOf: [{ type: "string", maxLength: 2000 }, { type: "null" }] },
+        // порядок у масиві — порядок показу
+        cardIds: { type: "array", items: { type: "string", format: "uuid" }, uniqueItems: true, maxItems: 200 },
+        isPublic: { type: "boolean", default: false },
+        authorId: { type: "string", format: "uuid" },
     },
-    required: ["kind", "name", "movieTitle", "title", "description", "authorToken"],
+    required: ["kind", "title", "cardIds", "authorId"],
 };
-const validateCardPayload = ajv.compile(cardPayloadSchema);
 
-function isAdmin(req) {
+// вбудовані kind'и; решту адмін реєструє через PUT /collections/:kind/schema
+const collections = createRegistry({ ajv, store, reserved: ["user", "session", "report", "movie", "upload", "webhook", "revision", "share"] });
+const catalog = createCatalog({ store });
+collections.define("comment", {
+    schema: commentPayloadSchema,
+    publicFields: ["imdbID", "name", "message", "rating"],
+    defaultSort: "-createdAt",
+    filterFields: ["imdbID"],
+    searchFields: { message: 1 },
+    threaded: true,
+    reactions: ["like", "helpful"],
+    // той самий текст від того ж автора або з того ж IP протягом DUPLICATE_WINDOW_MIN — 409
+    dedupe: "message",
+    // премодерація: нові коментарі невидимі в GET /comments, доки їх не схвалять
+    premoderate: process.env.COMMENTS_PREMODERATION === "true",
+    // чужі коментарі не редагує ніхто; модератори приховують або видаляють будь-які
+    permissions: {
+        update: { user: "own", moderator: "own", admin: "own" },
+        delete: { user: "own", moderator: "any", admin: "any" },
+    },
+});
+collections.define("userCard", {
+    schema: cardPayloadSchema,
+    publicFields: ["name", "movieTitle", "imdbID", "title", "description", "imageUrl", "isPublic"],
+    defaultSort: "-updatedAt",
+    visibilityField: "isPublic",
+    // приватну картку можна відкрити за посиланням (POST /cards/:id/shares)
+    shareable: true,
+    filterFields: ["imdbID"],
+    searchFields: { title: 3, movieTitle: 2, description: 1 },
+    // якщо imageUrl/imdbID порожній рядок — робимо null (щоб відв'язати)
+    normalize: (p) => ({ ...p, imageUrl: p.imageUrl || null, imdbID: p.imdbID || null }),
+    // перевіряються лише змінені значення: старі картки з картинками до обліку
+    // завантажень редагуються як раніше
+    check: (p, prev) => {
+        const errors = [];
+        // imdbID має бути в каталозі — туди фільм потрапляє через /proxy/omdb
+        if (p.imdbID && p.imdbID !== prev?.imdbID && !catalog.get(p.imdbID))
+            errors.push({ field: "imdbID", message: "Unknown movie, look it up via /proxy/omdb first", code: "not_found" });
+        if (p.imageUrl && p.imageUrl !== prev?.imageUrl && uploads.uploadFor(p.imageUrl)?.payload.authorId !== p.authorId)
+            errors.push({ field: "imageUrl", message: "Must reference your own upload (POST /upload)", code: "upload" });
+        return errors;
+    },
+});
+collections.define("cardCollection", {
+    schema: cardCollectionPayloadSchema,
+    publicFields: ["title", "description", "cardIds", "isPublic"],
+    defaultSort: "-updatedAt",
+    visibilityField: "isPublic",
+    shareable: true,
+    searchFields: { title: 2, description: 1 },
+    normalize: (p) => ({ ...p, description: p.description || null, cardIds: p.cardIds ?? [] }),
+    // у відповідях лишаються id лише тих карток, які бачить запитувач: id чужої
+    // приватної картки не має витікати через публічну добірку
+    redact: (p, requester) => ({
+        ...p,
+        cardIds: p.cardIds.filter((id) => {
+            const card = store.get(id);
+            return card?.payload?.kind === "userCard" && isPublished(card)
+                && (card.payload.isPublic === true || (!!requester && card.payload.authorId === requester));
+        }),
+    }),
+    // додати можна власну або публічну картку; те, що вже в добірці, не перевіряється —
+    // картка, яка згодом стала приватною чи видаленою, просто не показується
+    check: (p, prev) => {
+        const before = new Set(prev?.cardIds || []);
+        return p.cardIds
+            .filter((id) => !before.has(id))
+            .filter((id) => {
+                const card = store.get(id);
+                return card?.payload?.kind !== "userCard" || !!card.deletedAt
+                    || (card.payload.authorId !== p.authorId && card.payload.isPublic !== true);
+            })
+            .map((id) => ({ field: "cardIds", message: `Card ${id} not found or not public`, code: "not_found" }));
+    },
+});
+
+// сервісний доступ: x-admin-token = ADMIN_TOKEN дає роль admin без акаунта
+// (для скриптів і щоб видати першому користувачу роль admin)
+function hasAdminToken(req) {
     const adminHeader = String(req.headers["x-admin-token"] || "");
     return !!process.env.ADMIN_TOKEN && adminHeader === process.env.ADMIN_TOKEN;
 }
 
-/* --------------------------------- misc ----------------------------------- */
-app.get("/health", (_req, res) =>
-    res.json({ ok: true, time: new Date().toISOString() })
-);
+/* ------------------------ write queue / concurrency ----------------------- */
+// усі мутації йдуть через одну чергу — read-modify-write ніколи не перемежовуються
+const writeQueue = createQueue();
+// serialized(authorize(...), handler) — перевірка прав і сама мутація в одній задачі черги
+function serialized(...handlers) {
+    return (req, res, next) => {
+        writeQueue.run(async () => {
+            for (const handler of handlers) {
+                let proceed = false;
+                await handler(req, res, (err) => {
+                    if (err) throw err;
+                    proceed = true;
+                });
+                if (!proceed) return;
+            }
+        }).catch(next);
+    };
+}
 
-/* ------------------------------- comments --------------------------------- */
-app.get("/comments", (req, res) => {
-    const { imdbID, page, limit } = req.query;
-    const token = String(req.headers["x-user-token"] || "");
-    const db = readDb();
+// version з'явився пізніше — старі items вважаємо версією 1
+const itemVersion = (item) => item.version || 1;
+const itemEtag = (item) => `"${itemVersion(item)}"`;
 
-    let items = db.items.filter((i) => i.payload?.kind === "comment");
-    if (imdbID) items = items.filter((i) => i.payload.imdbID === String(imdbID));
+// If-Match: "*", "3", W/"3" або список через кому; без заголовка — пропускаємо
+function ifMatchFails(req, item) {
+    const header = req.headers["if-match"];
+    if (!header) return false;
+    const tags = String(header).split(",").map((t) => t.trim().replace(/^W\//, ""));
+    return !tags.includes("*") && !tags.includes(itemEtag(item));
+}
+function preconditionFailed(res, item) {
+    res.setHeader("ETag", itemEtag(item));
+    return res.status(412).json({
+        error: "Precondition failed",
+        errors: [{ field: "version", message: `Item was modified (current version ${itemVersion(item)})`, code: "precondition" }],
+    });
+}
 
-    items = items.sort(
-        (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
-    );
-    const paged = paginate(items, page, limit);
+/* ---------------------------- users / sessions ---------------------------- */
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL || "900", 10);             // 15 хв
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL || String(30 * 86400), 10); // 30 днів
+let SESSION_SECRET = process.env.SESSION_SECRET;
+if (!SESSION_SECRET) {
+    SESSION_SECRET = randomBytes(32).toString("hex");
+    console.warn("SESSION_SECRET is not set — sessions will not survive a restart");
+}
 
-    paged.data = paged.data.map((i) => ({
-        id: i.id,
-        createdAt: i.createdAt,
-        updatedAt: i.updatedAt,
-        own: !!token && i.payload.authorToken === token,
-        payload: {
-            kind: "comment",
-            imdbID: i.payload.imdbID,
-            name: i.payload.name,
-            message: i.payload.message,
-            rating: i.payload.rating,
-        },
-    }));
+const users = createUsers({
+    store,
+    secret: SESSION_SECRET,
+    accessTtl: ACCESS_TOKEN_TTL,
+    refreshTtl: REFRESH_TOKEN_TTL,
+});
 
-    res.json(paged);
+const credentialsSchema = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        username: { type: "string", pattern: "^[A-Za-z0-9_.-]{3,32}$" },
+        password: { type: "string", minLength: 8, maxLength: 200 },
+        name: { type: "string", minLength: 2 },
+    },
+    required: ["username", "password"],
+};
+const validateCredentials = ajv.compile(credentialsSchema);
+
+const USER = api.schema("User", {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        id: { type: "string" },
+        username: nullable({ type: "string" }),
+        name: nullable({ type: "string" }),
+        anonymous: { type: "boolean" },
+        role: { type: "string" },
+        createdAt: { type: "string" },
+    },
+    required: ["id", "username", "name", "anonymous", "role", "createdAt"],
 });
+const SESSION = api.schema("Session", {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        tokenType: { const: "Bearer" },
+        accessToken: { type: "string" },
+        expiresIn: int(1),
+        refreshToken: { type: "string" },
+        refreshExpiresAt: { type: "string" },
+        user: USER,
+    },
+    required: ["tokenType", "accessToken", "expiresIn", "refreshToken", "refreshExpiresAt", "user"],
+});
+const REFRESH_BODY = {
+    type: "object",
+    properties: { refreshToken: { type: "string" } },
+};
 
-app.post("/comments", (req, res) => {
-    const token = String(req.headers["x-user-token"] || "");
-    if (!token || token.length < 16) {
+// req.user — акаунт або null; прострочений/підроблений токен — одразу 401,
+// щоб фронт знав, що треба зробити refresh (крім самих /auth/*)
+app.use((req, res, next) => {
+    // EventSource не вміє заголовки — для SSE access-токен дозволено передати в ?access_token=
+    if (req.path === "/changes/stream" && req.query.access_token && !req.headers.authorization)
+        req.headers.authorization = `Bearer ${req.query.access_token}`;
+    const r = users.authenticate(req);
+    const readOnly = req.method === "GET" || req.method === "HEAD" || req.method === "OPTIONS";
+    if (r.error && !req.path.startsWith("/auth/") && !(r.guest && readOnly)) {
         return res.status(401).json({
-            error: "Missing or invalid x-user-token",
-            errors: [{ field: "token", message: "Authorization required", code: "auth" }],
+            error: "Unauthorized",
+            errors: [{ field: "token", message: r.error.message, code: r.error.code }],
         });
     }
-    const base = req.body || {};
-    const payload = { kind: "comment", rating: 5, ...base, authorToken: token };
+    req.user = r.user || null;
+    req.sessionId = r.sessionId || null;
+    req.role = hasAdminToken(req) ? "admin" : req.user ? req.user.payload.role || "user" : "guest";
+    next();
+});
 
-    if (!validateCommentPayload(payload)) {
-        return res
-            .status(400)
-            .json({ error: "Validation failed", errors: formatAjvErrors(validateCommentPayload.errors) });
-    }
+/* ------------------------------ rate limits ------------------------------- */
+// "N/вікно" (5/1m, 100/1h) або off; окремо на IP і на акаунт (user)
+const RATE_LIMITS = {
+    auth: { ip: process.env.RATE_LIMIT_AUTH_IP || "20/10m" },   // реєстрація, вхід, анонімні сесії
+    comments: { user: process.env.RATE_LIMIT_COMMENTS || "5/1m", ip: process.env.RATE_LIMIT_COMMENTS_IP || "20/1m" },
+    cards: { user: process.env.RATE_LIMIT_CARDS || "10/10m", ip: process.env.RATE_LIMIT_CARDS_IP || "30/10m" },
+    items: { user: process.env.RATE_LIMIT_ITEMS || "30/1m", ip: process.env.RATE_LIMIT_ITEMS_IP || "60/1m" }, // інші kind'и
+    upload: { user: process.env.RATE_LIMIT_UPLOAD || "10/10m", ip: process.env.RATE_LIMIT_UPLOAD_IP || "30/10m" },
+};
+const rateRules = Object.fromEntries(
+    Object.entries(RATE_LIMITS).map(([name, r]) => [name, { ip: parseRate(r.ip), user: parseRate(r.user) }])
+);
+const RATE_GROUP = { comment: "comments", userCard: "cards" };
+const limiter = createRateLimiter();
 
-    const now = new Date().toISOString();
-    const item = { id: randomUUID(), createdAt: now, updatedAt: now, payload };
+/**
+ * Група — за назвою або за kind'ом з authorize (req.def). Заголовки RateLimit-*
+ * описують найвужче з відер; при відмові — 429 з Retry-After.
+ * Адміни й модератори не обмежуються.
+ */
+function rateLimit(group) {
+    return (req, res, next) => {
+        if (req.role === "admin" || req.role === "moderator") return next();
+        const name = group || RATE_GROUP[req.def?.kind] || "items";
+        const rule = rateRules[name];
+        const checks = [];
+        if (rule.ip) checks.push(limiter.take(`${name}:ip:${req.ip}`, rule.ip));
+        if (rule.user && requesterId(req)) checks.push(limiter.take(`${name}:user:${requesterId(req)}`, rule.user));
+        if (!checks.length) return next();
+
+        const denied = checks.find((c) => !c.ok);
+        const tightest = denied || checks.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+        res.setHeader("RateLimit-Limit", tightest.limit);
+        res.setHeader("RateLimit-Remaining", tightest.remaining);
+        res.setHeader("RateLimit-Reset", tightest.resetSec);
+        res.setHeader("RateLimit-Policy", `${tightest.limit};w=${tightest.windowSec}`);
+        if (!denied) return next();
+
+        res.setHeader("Retry-After", denied.retryAfterSec);
+        res.status(429).json({
+            error: "Too many requests",
+            errors: [{ field: "rate", message: `Rate limit exceeded, retry in ${denied.retryAfterSec} s`, code: "rate_limit" }],
+        });
+    };
+}
+
+// антиспам для items: стеля кількості на автора і повтор того самого тексту
+const AUTHOR_MAX_ITEMS = parseCount(process.env.AUTHOR_MAX_ITEMS || "1000", "AUTHOR_MAX_ITEMS");
+const duplicates = createDuplicateDetector({ windowMs: parseFloat(process.env.DUPLICATE_WINDOW_MIN || "10") * 60 * 1000 });
 
-    if (!validateItem(item)) {
-        return res
-            .status(400)
-            .json({ error: "Validation failed", errors: formatAjvErrors(validateItem.errors) });
+function duplicateKeys(req, def, payload) {
+    const text = payload[def.dedupe];
+    if (!def.dedupe || typeof text !== "string") return [];
+    const hash = createHash("sha256").update(text.toLowerCase().replace(/\s+/g, " ").trim()).digest("hex");
+    return [`${def.kind}:user:${requesterId(req)}:${hash}`, `${def.kind}:ip:${req.ip}:${hash}`];
+}
+
+// null — можна створювати; інакше [статус, тіло відповіді]
+function spamCheck(req, def, payload) {
+    if (req.role === "admin" || req.role === "moderator") return null;
+    const requester = requesterId(req);
+    if (AUTHOR_MAX_ITEMS > 0) {
+        const count = store.byKind(def.kind).filter((i) => !i.deletedAt && i.payload[def.ownerField] === requester).length;
+        if (count >= AUTHOR_MAX_ITEMS)
+            return [403, {
+                error: "Item limit reached",
+                errors: [{ field: "kind", message: `At most ${AUTHOR_MAX_ITEMS} ${def.kind} items per author`, code: "quota" }],
+            }];
     }
+    if (duplicates.seen(duplicateKeys(req, def, payload)))
+        return [409, {
+            error: "Duplicate message",
+            errors: [{ field: def.dedupe, message: "The same text was posted recently", code: "duplicate" }],
+        }];
+    return null;
+}
 
-    const db = readDb();
-    db.items.push(item);
-    writeDb(db);
+function invalidRefresh(res) {
+    return res.status(401).json({
+        error: "Invalid refresh token",
+        errors: [{ field: "refreshToken", message: "Refresh token is invalid or expired", code: "token_invalid" }],
+    });
+}
 
-    res.status(201).json({
-        id: item.id,
-        createdAt: item.createdAt,
-        updatedAt: item.updatedAt,
-        payload: {
-            kind: "comment",
-            imdbID: payload.imdbID,
-            name: payload.name,
-            message: payload.message,
-            rating: payload.rating,
-        },
+function usernameTaken(res) {
+    return res.status(409).json({
+        error: "Username taken",
+        errors: [{ field: "username", message: "This username is already registered", code: "unique" }],
     });
-});
+}
 
-app.patch("/comments/:id", (req, res) => {
-    const token = String(req.headers["x-user-token"] || "");
-    if (!token || token.length < 16) {
-        return res.status(401).json({
-            error: "Missing or invalid x-user-token",
-            errors: [{ field: "token", message: "Authorization required", code: "auth" }],
+/**
+ * Реєстрація; анонімний акаунт (у т.ч. перенесений x-user-token) стає повноцінним.
+ * scrypt рахується поза чергою мутацій (інакше кожна реєстрація чи вхід на
+ * ~50 мс зупиняє всі записи), у черзі — лише перевірка логіна і запис.
+ */
+api.describe("post /auth/register", {
+    tags: ["auth"],
+    summary: "Register an account (an anonymous session becomes a full account)",
+    body: credentialsSchema,
+    responses: { 201: SESSION },
+});
+app.post("/auth/register", rateLimit("auth"), async (req, res, next) => {
+    try {
+        const body = { ...(req.body || {}) };
+        if (!validateCredentials(body))
+            return res.status(400).json({ error: "Validation failed", errors: formatAjvErrors(validateCredentials.errors) });
+        if (users.findByUsername(body.username)) return usernameTaken(res);
+
+        const passwordHash = await hashPassword(body.password);
+        await writeQueue.run(() => {
+            // той самий логін міг зареєструватись, поки рахувався хеш
+            if (users.findByUsername(body.username)) return usernameTaken(res);
+            const patch = {
+                username: body.username,
+                name: body.name || null,
+                passwordHash,
+                anonymous: false,
+                legacyTokenHash: undefined, // після реєстрації вхід лише за паролем
+            };
+            const current = req.user && users.getUser(req.user.id);
+            const user = current?.payload.anonymous
+                ? users.updateUser(current, patch)
+                : users.createUser(patch);
+            res.status(201).json(users.issueSession(user));
         });
+    } catch (err) {
+        next(err);
     }
+});
 
-    const db = readDb();
-    const idx = db.items.findIndex(
-        (i) => i.id === req.params.id && i.payload?.kind === "comment"
-    );
-    if (idx === -1) return res.status(404).json({ error: "Not found" });
-    if (db.items[idx].payload.authorToken !== token)
-        return res.status(403).json({ error: "Forbidden" });
-
-    const mergedPayload = {
-        ...db.items[idx].payload,
-        ...(req.body || {}),
-        kind: "comment",
-        authorToken: token,
-    };
+function invalidCredentials(res) {
+    return res.status(401).json({
+        error: "Invalid credentials",
+        errors: [{ field: "password", message: "Invalid username or password", code: "auth" }],
+    });
+}
 
-    if (!validateCommentPayload(mergedPayload)) {
-        return res
-            .status(400)
-            .json({ error: "Validation failed", errors: formatAjvErrors(validateCommentPayload.errors) });
+api.describe("post /auth/login", {
+    tags: ["auth"],
+    summary: "Log in with username and password",
+    body: { ...credentialsSchema, additionalProperties: true },
+    responses: { 200: SESSION },
+});
+app.post("/auth/login", rateLimit("auth"), async (req, res, next) => {
+    try {
+        const { username, password } = req.body || {};
+        if (typeof password !== "string") return invalidCredentials(res);
+        const user = (typeof username === "string" && users.findByUsername(username)) || null;
+        if (!(await checkPassword(user, password))) return invalidCredentials(res);
+        await writeQueue.run(() => {
+            // пароль змінили або акаунт видалили, поки перевіряли хеш
+            const current = users.getUser(user.id);
+            if (current?.payload.passwordHash !== user.payload.passwordHash) return invalidCredentials(res);
+            res.json(users.issueSession(current));
+        });
+    } catch (err) {
+        next(err);
     }
+});
 
-    const now = new Date().toISOString();
-    const merged = { ...db.items[idx], updatedAt: now, payload: mergedPayload };
+// сесія без пароля — для тих, хто не хоче реєструватись (як старий x-user-token)
+api.describe("post /auth/anonymous", { tags: ["auth"], summary: "Start an anonymous session", responses: { 201: SESSION } });
+app.post("/auth/anonymous", rateLimit("auth"), serialized((_req, res) => {
+    res.status(201).json(users.issueSession(users.createUser({ anonymous: true })));
+}));
+
+api.describe("post /auth/refresh", {
+    tags: ["auth"],
+    summary: "Exchange a refresh token for a new session",
+    body: { ...REFRESH_BODY, required: ["refreshToken"] },
+    responses: { 200: SESSION },
+});
+app.post("/auth/refresh", serialized((req, res) => {
+    const r = users.refresh(req.body?.refreshToken);
+    if (!r) return invalidRefresh(res);
+    res.json(r);
+}));
+
+api.describe("post /auth/logout", {
+    tags: ["auth"],
+    summary: "Revoke the current session and/or a refresh token",
+    body: REFRESH_BODY,
+    responses: { 200: OK },
+});
+app.post("/auth/logout", serialized((req, res) => {
+    if (req.sessionId) users.revoke(req.sessionId);
+    if (req.body?.refreshToken) users.revokeRefresh(req.body.refreshToken);
+    res.json({ ok: true });
+}));
+
+api.describe("get /auth/me", { tags: ["auth"], summary: "Current account", auth: "user", responses: { 200: USER } });
+app.get("/auth/me", (req, res) => {
+    if (!req.user) return res.status(401).json({
+        error: "Unauthorized",
+        errors: [{ field: "token", message: "Authorization required", code: "auth" }],
+    });
+    res.json(publicUser(req.user));
+});
 
-    if (!validateItem(merged)) {
-        return res
-            .status(400)
-            .json({ error: "Validation failed", errors: formatAjvErrors(validateItem.errors) });
-    }
+/* --------------------------------- misc ----------------------------------- */
+api.describe("get /health", {
+    tags: ["misc"],
+    summary: "Liveness check",
+    responses: {
+        200: {
+            type: "object",
+            additionalProperties: false,
+            properties: { ok: { const: true }, time: { type: "string" } },
+            required: ["ok", "time"],
+        },
+    },
+});
+app.get("/health", (_req, res) =>
+    res.json({ ok: true, time: new Date().toISOString() })
+);
 
-    db.items[idx] = merged;
-    writeDb(db);
+/* ------------------------ collections (generic CRUD) ---------------------- */
+// id акаунта з сесії (див. authenticate вище) або "" для анонімного запиту
+const requesterId = (req) => req.user?.id || "";
 
-    res.json({
-        id: merged.id,
-        createdAt: merged.createdAt,
-        updatedAt: merged.updatedAt,
-        payload: {
-            kind: "comment",
-            imdbID: merged.payload.imdbID,
-            name: merged.payload.name,
-            message: merged.payload.message,
-            rating: merged.payload.rating,
-        },
+function unauthorized(res) {
+    return res.status(401).json({
+        error: "Unauthorized",
+        errors: [{ field: "token", message: "Authorization required", code: "auth" }],
     });
-});
+}
+function forbidden(res) {
+    return res.status(403).json({ error: "Forbidden" });
+}
 
-app.delete("/comments/:id", (req, res) => {
-    const token = String(req.headers["x-user-token"] || "");
-    if (!token || token.length < 16) {
-        return res.status(401).json({
-            error: "Missing or invalid x-user-token",
-            errors: [{ field: "token", message: "Authorization required", code: "auth" }],
+// службові kind'и, які не реєструються в collections, але мають свої права
+const adminOnlyPermissions = Object.fromEntries(ACTIONS.map((a) => [a, { admin: "any" }]));
+const INTERNAL_KINDS = {
+    user: { kind: "user", ownerField: "id", permissions: adminOnlyPermissions },   // акаунти та ролі
+    schema: { kind: "schema", ownerField: "id", permissions: adminOnlyPermissions }, // реєстрація kind'ів
+    webhook: { kind: "webhook", ownerField: "id", permissions: adminOnlyPermissions }, // підписки й доставки
+    backup: { kind: "backup", ownerField: "id", permissions: adminOnlyPermissions },   // знімки data/backups
+    migration: { kind: "migration", ownerField: "id", permissions: adminOnlyPermissions }, // версія даних, карантин
+    data: { kind: "data", ownerField: "id", permissions: adminOnlyPermissions },       // /export, /import
+    upload: {                                                                        // файли /upload
+        kind: "upload",
+        ownerField: "authorId",
+        permissions: {
+            ...DEFAULT_PERMISSIONS,
+            read: { user: "own", moderator: "own", admin: "any" },
+            moderate: { admin: "any" },                                              // GC вручну
+        },
+    },
+};
+
+// /comments та /cards передають фіксований kind, /collections/:kind — з URL
+function resolveKind(req, res, fixedKind) {
+    const kind = fixedKind || req.params.kind;
+    const def = (fixedKind && INTERNAL_KINDS[fixedKind]) || collections.get(kind);
+    if (!def) {
+        res.status(404).json({
+            error: "Unknown collection",
+            errors: [{ field: "kind", message: `Collection "${kind}" is not registered`, code: "not_found" }],
         });
+        return null;
     }
+    return def;
+}
 
-    const db = readDb();
-    const idx = db.items.findIndex(
-        (i) => i.id === req.params.id && i.payload?.kind === "comment"
-    );
-    if (idx === -1) return res.status(404).json({ error: "Not found" });
-    if (db.items[idx].payload.authorToken !== token)
-        return res.status(403).json({ error: "Forbidden" });
-
-    const r = db.items.splice(idx, 1)[0];
-    writeDb(db);
-    res.json({ ok: true, removedId: r.id });
-});
+const isOwnItem = (req, def, item) =>
+    !!requesterId(req) && item.payload?.[def.ownerField] === requesterId(req);
+const moderationStatus = (item) => item.moderation?.status || "approved";
 
-/* ------------------------------- user cards ------------------------------- */
-app.get("/cards", (req, res) => {
-    const requester = String(req.headers["x-user-token"] || "");
-    const admin = isAdmin(req);
-    const { page, limit, onlyPublic } = req.query;
+const canModerate = (req, def) => grantFor(def.permissions, "moderate", req.role) === "any";
 
-    const db = readDb();
-    let items = db.items.filter((i) => i.payload?.kind === "userCard");
+/**
+ * Видимість item для запиту:
+ *   - м'яко видалені — нікому (лише через /moderation та restore);
+ *   - pending / hidden — лише власнику та ролям з moderate: any;
+ *   - з visibilityField (isPublic) — публічні, власні або все при read: any.
+ */
+function canView(req, def, item) {
+    if (item.deletedAt) return false;
+    const own = isOwnItem(req, def, item);
+    if (moderationStatus(item) !== "approved" && !own && !canModerate(req, def))
+        return false;
+    if (!def.visibilityField || grantFor(def.permissions, "read", req.role) === "any") return true;
+    return own || item.payload[def.visibilityField] === true;
+}
 
-    if (!admin) {
-        if (String(onlyPublic) === "true") {
-            items = items.filter((i) => i.payload.isPublic === true);
-        } else {
-            items = items.filter((i) => i.payload.authorToken === requester);
+/**
+ * Єдина перевірка прав для всіх маршрутів items:
+ * роль запиту -> рівень (none/own/any) з таблиці kind'а, для :id — ще й
+ * існування item і власника. Кладе req.def, req.grant, req.item.
+ * deleted: false — лише живі item, true — лише видалені, "any" — будь-які
+ * (видалений item тоді бачать тільки власник і адмін).
+ */
+function authorize(action, fixedKind, { deleted = false } = {}) {
+    return (req, res, next) => {
+        const def = resolveKind(req, res, fixedKind);
+        if (!def) return;
+
+        const level = grantFor(def.permissions, action, req.role);
+        if (level === "none") return req.role === "guest" ? unauthorized(res) : forbidden(res);
+
+        let item = null;
+        if (req.params.id) {
+            item = store.get(req.params.id);
+            if (item?.payload?.kind !== def.kind || (deleted !== "any" && !!item.deletedAt !== deleted))
+                return res.status(404).json({ error: "Not found" });
+            if (deleted === "any" && item.deletedAt && !canSeeHistory(req, def, item))
+                return res.status(404).json({ error: "Not found" });
+            if (action === "read") {
+                if (!item.deletedAt && !canView(req, def, item)) return res.status(404).json({ error: "Not found" });
+            } else if (level === "own" && !isOwnItem(req, def, item)) {
+                return forbidden(res);
+            }
         }
+
+        req.def = def;
+        req.grant = level;
+        req.item = item;
+        next();
+    };
+}
+
+/* -------------------------- threads / reactions --------------------------- */
+const MAX_REPLY_DEPTH = parseInt(process.env.MAX_REPLY_DEPTH || "3", 10);
+const replyIndex = createReplyIndex();
+store.subscribe(replyIndex.onChange);
+
+const isPublished = (item) => !item.deletedAt && moderationStatus(item) === "approved";
+const reactionCount = (item, type) => item.reactions?.[type]?.length || 0;
+const replyCount = (item) => replyIndex.childIds(item.id).filter((id) => isPublished(store.get(id))).length;
+
+// обчислювані поля для ?filter / ?sort: кількість реакцій кожного типу та відповідей
+function computedFields(def) {
+    const out = {};
+    for (const type of def.reactions || []) out[type] = (item) => reactionCount(item, type);
+    if (def.threaded) out.replies = replyCount;
+    return out;
+}
+
+// requester передається лише там, де фронту потрібен прапорець own (списки, GET by id)
+function projectItem(def, item, requester) {
+    const out = {
+        id: item.id,
+        createdAt: item.createdAt,
+        updatedAt: item.updatedAt,
+        version: itemVersion(item),
+        status: moderationStatus(item),
+        ...(requester === undefined
+            ? {}
+            : { own: !!requester && item.payload[def.ownerField] === requester }),
+    };
+    if (def.threaded) out.replyCount = replyCount(item);
+    if (def.reactions?.length) {
+        out.reactions = Object.fromEntries(def.reactions.map((t) => [t, reactionCount(item, t)]));
+        if (requester) out.myReactions = def.reactions.filter((t) => item.reactions?.[t]?.includes(requester));
     }
+    out.payload = projectPayload(def, def.redact ? def.redact(item.payload, requester) : item.payload);
+    return out;
+}
 
-    items = items.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
-    const paged = paginate(items, page, limit);
+const MODERATION_STATUS = { enum: ["pending", "approved", "hidden"] };
 
-    paged.data = paged.data.map((i) => ({
-        id: i.id,
-        createdAt: i.createdAt,
-        updatedAt: i.updatedAt,
-        own: !!requester && i.payload.authorToken === requester,
-        payload: {
-            kind: "userCard",
-            name: i.payload.name,
-            movieTitle: i.payload.movieTitle,
-            title: i.payload.title,
-            description: i.payload.description,
-            imageUrl: i.payload.imageUrl ?? null,
-            isPublic: !!i.payload.isPublic,
-        },
-    }));
+/**
+ * Схема того, що віддає projectItem (для /openapi.json і перевірки відповідей):
+ * payload — рівно kind і publicFields (null, якщо поля немає), службові поля —
+ * за threaded / reactions kind'а. Без def — будь-який kind (/collections/:kind).
+ * partial — payload після ?fields=, коли частини publicFields немає.
+ */
+function itemProjectionSchema(def, { partial = false } = {}) {
+    const props = def?.schema.properties || {};
+    const payload = def
+        ? {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                kind: { const: def.kind },
+                ...Object.fromEntries(def.publicFields.map((f) => [f, props[f] ? nullable(props[f]) : {}])),
+            },
+            required: partial ? ["kind"] : ["kind", ...def.publicFields],
+        }
+        : { type: "object", properties: { kind: { type: "string" } }, required: ["kind"] };
+    const reactionTypes = def?.reactions || [];
+    const reactions = def
+        ? { type: "object", additionalProperties: false, properties: Object.fromEntries(reactionTypes.map((t) => [t, int()])), required: reactionTypes }
+        : { type: "object", additionalProperties: int() };
+
+    const properties = {
+        id: { type: "string" },
+        createdAt: { type: "string" },
+        updatedAt: { type: "string" },
+        version: int(1),
+        status: MODERATION_STATUS,
+        own: { type: "boolean" },
+        ...(!def || def.threaded ? { replyCount: int() } : {}),
+        ...(!def || reactionTypes.length
+            ? { reactions, myReactions: { type: "array", items: def ? { enum: reactionTypes } : { type: "string" } } }
+            : {}),
+        payload,
+    };
+    const required = ["id", "createdAt", "updatedAt", "version", "status", "payload"];
+    if (def?.threaded) required.push("replyCount");
+    if (reactionTypes.length) required.push("reactions");
+    return { type: "object", additionalProperties: false, properties, required };
+}
 
-    res.json(paged);
-});
+// вузол GET /:id/thread: проєкція + replies (replies — посилання на сам вузол)
+function threadNodeSchema(def, replies) {
+    const node = itemProjectionSchema(def);
+    node.properties.replyCount = int();
+    node.properties.replies = { type: "array", items: replies };
+    node.required.push("replyCount", "replies");
+    return node;
+}
 
-app.post("/cards", (req, res) => {
-    const requester = String(req.headers["x-user-token"] || "");
-    if (!requester || requester.length < 16) {
-        return res.status(401).json({
-            error: "Missing or invalid x-user-token",
-            errors: [{ field: "token", message: "Authorization required", code: "auth" }],
+// тіло POST / PATCH: схема payload без того, що ставить сервер (kind, власник)
+function itemInputSchema(def, { partial = false } = {}) {
+    if (!def) return { type: "object", additionalProperties: true };
+    const { kind, [def.ownerField]: owner, ...properties } = def.schema.properties;
+    const required = partial ? [] : def.schema.required.filter((f) => f !== "kind" && f !== def.ownerField);
+    return { ...def.schema, properties, required };
+}
+
+/**
+ * Дерево відповідей від item: кожен вузол — проєкція з replyCount і replies.
+ * Невидимі запиту відповіді (hidden/pending/видалені) пропускаються разом з гілкою.
+ */
+function getThread(req, res) {
+    const { def, item } = req;
+    if (!def.threaded)
+        return res.status(400).json({
+            error: "Not threaded",
+            errors: [{ field: "kind", message: `"${def.kind}" does not support replies`, code: "threaded" }],
         });
-    }
+    const requester = requesterId(req);
+
+    const build = (node, depth) => {
+        const replies = depth >= MAX_REPLY_DEPTH ? [] : replyIndex.childIds(node.id)
+            .map((id) => store.get(id))
+            .filter((r) => r && canView(req, def, r))
+            .sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1))
+            .map((r) => build(r, depth + 1));
+        return { ...projectItem(def, node, requester), replyCount: replies.length, replies };
+    };
 
-    const base = req.body && typeof req.body === "object" ? req.body : {};
-    const payload = {
-        kind: "userCard",
-        isPublic: false,
-        ...base,
-        // imageUrl може бути порожнім — тоді не додаємо поле взагалі
-        ...(base.imageUrl ? { imageUrl: base.imageUrl } : { imageUrl: null }),
-        authorToken: requester,
+    res.json(build(item, threadDepth(item, store.get)));
+}
+
+// реакція ставиться або знімається повторним запитом; одна кожного типу на акаунт
+function toggleReaction(req, res) {
+    const { def, item } = req;
+    const type = req.params.type;
+    const requester = requesterId(req);
+    if (!requester) return unauthorized(res);
+    if (!def.reactions?.includes(type))
+        return res.status(400).json({
+            error: "Validation failed",
+            errors: [{ field: "type", message: `must be one of: ${(def.reactions || []).join(", ") || "(none)"}`, code: "enum" }],
+        });
+
+    const current = item.reactions?.[type] || [];
+    const active = !current.includes(requester);
+    const reactions = {
+        ...(item.reactions || {}),
+        [type]: active ? [...current, requester] : current.filter((id) => id !== requester),
     };
+    // як і модерація, реакції не змінюють version/updatedAt
+    const merged = { ...item, reactions };
+    store.update(merged);
 
-    if (!validateCardPayload(payload)) {
-        return res
-            .status(400)
-            .json({ error: "Validation failed", errors: formatAjvErrors(validateCardPayload.errors) });
-    }
+    res.json({ id: item.id, type, active, reactions: projectItem(def, merged, requester).reactions });
+}
 
-    const now = new Date().toISOString();
-    const item = { id: randomUUID(), createdAt: now, updatedAt: now, payload };
+function validationFailed(res, validate) {
+    return res
+        .status(400)
+        .json({ error: "Validation failed", errors: formatAjvErrors(validate.errors) });
+}
 
-    if (!validateItem(item)) {
-        return res
-            .status(400)
-            .json({ error: "Validation failed", errors: formatAjvErrors(validateItem.errors) });
-    }
+function listItems(req, res) {
+    const def = req.def;
+    const requester = requesterId(req);
+    const { page, limit, onlyPublic } = req.query;
 
-    const db = readDb();
-    db.items.push(item);
-    writeDb(db);
+    const q = parseListQuery(def, req.query, computedFields(def));
+    if (q.errors) return res.status(400).json({ error: "Invalid query", errors: q.errors });
 
-    res.status(201).json({
-        id: item.id,
-        createdAt: item.createdAt,
-        updatedAt: item.updatedAt,
-        payload: {
-            kind: "userCard",
-            name: payload.name,
-            movieTitle: payload.movieTitle,
-            title: payload.title,
-            description: payload.description,
-            imageUrl: payload.imageUrl ?? null,
-            isPublic: !!payload.isPublic,
-        },
+    let items = store.byKind(def.kind).filter((i) => canView(req, def, i));
+    if (def.visibilityField && req.grant !== "any") {
+        if (String(onlyPublic) === "true") {
+            items = items.filter((i) => i.payload[def.visibilityField] === true);
+        } else {
+            items = items.filter((i) => isOwnItem(req, def, i));
+        }
+    }
+
+    const paged = runListQuery(items, q, { page, limit });
+    paged.data = paged.data.map((i) => {
+        const out = projectItem(def, i, requester);
+        out.payload = selectFields(out.payload, q.fields);
+        return out;
     });
-});
+    res.json(paged);
+}
 
-app.patch("/cards/:id", (req, res) => {
-    const requester = String(req.headers["x-user-token"] || "");
-    const admin = isAdmin(req);
-    if (!requester && !admin) {
-        return res.status(401).json({
-            error: "No token",
-            errors: [{ field: "token", message: "Authorization required", code: "auth" }],
-        });
-    }
+function getItem(req, res) {
+    res.setHeader("ETag", itemEtag(req.item));
+    res.json(projectItem(req.def, req.item, requesterId(req)));
+}
 
-    const db = readDb();
-    const idx = db.items.findIndex(
-        (i) => i.id === req.params.id && i.payload?.kind === "userCard"
-    );
-    if (idx === -1) return res.status(404).json({ error: "Not found" });
+/**
+ * Відповідь: батько того ж kind'а, видимий запиту, не глибше MAX_REPLY_DEPTH.
+ * Поля-фільтри (imdbID) відповідь успадковує від батька і не може змінити.
+ */
+function checkParent(req, def, payload) {
+    const parent = store.get(String(payload.parentId));
+    if (parent?.payload?.kind !== def.kind || !canView(req, def, parent))
+        return [{ field: "parentId", message: "Parent not found", code: "not_found" }];
+    if (threadDepth(parent, store.get) + 1 > MAX_REPLY_DEPTH)
+        return [{ field: "parentId", message: `Replies can be nested at most ${MAX_REPLY_DEPTH} levels deep`, code: "maxDepth" }];
+
+    const errors = [];
+    for (const f of def.filterFields) {
+        if (payload[f] === undefined) payload[f] = parent.payload[f];
+        else if (payload[f] !== parent.payload[f])
+            errors.push({ field: f, message: `must match the parent (${parent.payload[f]})`, code: "const" });
+    }
+    return errors;
+}
 
-    const isOwner = db.items[idx].payload.authorToken === requester;
-    if (!isOwner && !admin) return res.status(403).json({ error: "Forbidden" });
+function createItem(req, res) {
+    const def = req.def;
+    const requester = requesterId(req);
+    if (!requester) return unauthorized(res);
 
-    const mergedPayload = {
-        ...db.items[idx].payload,
-        ...(req.body || {}),
-        kind: "userCard",
-        authorToken: db.items[idx].payload.authorToken,
-    };
-    // якщо imageUrl порожній рядок — робимо його null (щоб видалити картинку)
-    if (!mergedPayload.imageUrl) mergedPayload.imageUrl = null;
+    const base = req.body && typeof req.body === "object" ? req.body : {};
+    let payload = { ...schemaDefaults(def), ...base, kind: def.kind, [def.ownerField]: requester };
+    if (def.normalize) payload = def.normalize(payload);
 
-    if (!validateCardPayload(mergedPayload)) {
-        return res
-            .status(400)
-            .json({ error: "Validation failed", errors: formatAjvErrors(validateCardPayload.errors) });
+    if (def.threaded && payload.parentId != null) {
+        const errors = checkParent(req, def, payload);
+        if (errors.length) return res.status(400).json({ error: "Validation failed", errors });
     }
+    if (!def.validate(payload)) return validationFailed(res, def.validate);
+    const refErrors = def.check ? def.check(payload) : [];
+    if (refErrors.length) return res.status(400).json({ error: "Validation failed", errors: refErrors });
+    const spam = spamCheck(req, def, payload);
+    if (spam) return res.status(spam[0]).json(spam[1]);
 
     const now = new Date().toISOString();
-    const merged = { ...db.items[idx], updatedAt: now, payload: mergedPayload };
+    const item = { id: randomUUID(), createdAt: now, updatedAt: now, version: 1, payload };
+    if (def.premoderate) item.moderation = { status: "pending", reason: null, by: null, at: now };
+    if (!validateItem(item)) return validationFailed(res, validateItem);
+
+    store.insert(item);
+    duplicates.remember(duplicateKeys(req, def, payload));
+
+    res.setHeader("ETag", itemEtag(item));
+    res.status(201).json(projectItem(def, item));
+}
+
+function updateItem(req, res) {
+    const { def, item: existing } = req;
+    if (ifMatchFails(req, existing)) return preconditionFailed(res, existing);
+
+    saveItem(req, res, { ...existing.payload, ...(req.body || {}) }, "update");
+}
 
-    if (!validateItem(merged)) {
-        return res
-            .status(400)
-            .json({ error: "Validation failed", errors: formatAjvErrors(validateItem.errors) });
+/**
+ * Спільне для PATCH і revert: kind, власник і parentId не змінюються, поля-фільтри
+ * в треді — теж, далі ті самі normalize / validate / check. Попередній стан — у ревізію.
+ * restore: зняти з item позначку видалення (revert видаленого item).
+ */
+function saveItem(req, res, payload, action, { restore = false } = {}) {
+    const { def, item: existing } = req;
+    let mergedPayload = {
+        ...payload,
+        kind: def.kind,
+        [def.ownerField]: existing.payload[def.ownerField],
+    };
+    if (def.threaded) {
+        // відповідь не переноситься в інший тред, а поля-фільтри (imdbID) успадковує від батька
+        if (existing.payload.parentId == null) delete mergedPayload.parentId;
+        else {
+            mergedPayload.parentId = existing.payload.parentId;
+            for (const f of def.filterFields) mergedPayload[f] = existing.payload[f];
+        }
+    }
+    if (def.normalize) mergedPayload = def.normalize(mergedPayload);
+    // і батько з відповідями їх не змінює — інакше тред розійдеться між фільмами
+    if (def.threaded && existing.payload.parentId == null && replyIndex.childIds(existing.id).length) {
+        const changed = def.filterFields.filter((f) => mergedPayload[f] !== existing.payload[f]);
+        if (changed.length)
+            return res.status(409).json({
+                error: "Item has replies",
+                errors: changed.map((f) => ({ field: f, message: `${f} cannot change once the item has replies`, code: "thread" })),
+            });
     }
 
-    db.items[idx] = merged;
-    writeDb(db);
+    if (!def.validate(mergedPayload)) return validationFailed(res, def.validate);
+    const refErrors = def.check ? def.check(mergedPayload, existing.payload) : [];
+    if (refErrors.length) return res.status(400).json({ error: "Validation failed", errors: refErrors });
 
-    res.json({
-        id: merged.id,
-        createdAt: merged.createdAt,
-        updatedAt: merged.updatedAt,
-        payload: {
-            kind: "userCard",
-            name: merged.payload.name,
-            movieTitle: merged.payload.movieTitle,
-            title: merged.payload.title,
-            description: merged.payload.description,
-            imageUrl: merged.payload.imageUrl ?? null,
-            isPublic: !!merged.payload.isPublic,
-        },
+    const now = new Date().toISOString();
+    const { deletedAt, deletedBy, ...live } = existing;
+    const merged = { ...(restore ? live : existing), updatedAt: now, version: itemVersion(existing) + 1, payload: mergedPayload };
+    if (!validateItem(merged)) return validationFailed(res, validateItem);
+
+    // зміна і її ревізія — один запис: item не зміниться без історії
+    store.batch(() => {
+        store.update(merged);
+        revisions.record(existing, merged, { action, by: requesterId(req) || null, role: req.role });
     });
-});
 
-app.delete("/cards/:id", (req, res) => {
-    const requester = String(req.headers["x-user-token"] || "");
-    const admin = isAdmin(req);
-    if (!requester && !admin) {
-        return res.status(401).json({
-            error: "No token",
-            errors: [{ field: "token", message: "Authorization required", code: "auth" }],
-        });
-    }
+    res.setHeader("ETag", itemEtag(merged));
+    res.json(projectItem(def, merged));
+}
 
-    const db = readDb();
-    const idx = db.items.findIndex(
-        (i) => i.id === req.params.id && i.payload?.kind === "userCard"
-    );
-    if (idx === -1) return res.status(404).json({ error: "Not found" });
+// м'яке видалення: item зникає зі списків/пошуку, але його можна відновити
+function deleteItem(req, res) {
+    const existing = req.item;
+    if (ifMatchFails(req, existing)) return preconditionFailed(res, existing);
 
-    const isOwner = db.items[idx].payload.authorToken === requester;
-    if (!isOwner && !admin) return res.status(403).json({ error: "Forbidden" });
+    const at = new Date().toISOString();
+    store.batch(() => {
+        const deleted = store.update({ ...existing, deletedAt: at, deletedBy: requesterId(req) || null });
+        revisions.record(existing, deleted, { action: "delete", by: requesterId(req) || null, role: req.role });
+        if (canModerate(req, req.def)) resolveReports(existing.id, { status: "deleted", by: requesterId(req) || null, at });
+    });
+    res.json({ ok: true, removedId: existing.id });
+}
 
-    const removed = db.items.splice(idx, 1)[0];
-    writeDb(db);
-    res.json({ ok: true, removedId: removed.id });
-});
+// відновлення: модератори — будь-що, власник — лише те, що видалив сам
+function restoreItem(req, res) {
+    const { def, item } = req;
+    if (!canModerate(req, def) && item.deletedBy !== requesterId(req)) return forbidden(res);
 
-/* ------------------------------ image upload ------------------------------ */
-/**
- * Підтримувані типи:
- *   jpg/jpeg/png/webp/gif/bmp/svg + heic/heif/avif/tiff
- * Ліміт розміру — MAX_UPLOAD_MB (за замовчуванням 5 МБ)
- */
-const MAX_MB = parseInt(process.env.MAX_UPLOAD_MB || "5", 10);
-const ALLOWED_IMAGE_RE = /^image\/(png|jpe?g|webp|gif|bmp|svg\+xml|heic|heif|avif|tiff)$/i;
+    const { deletedAt, deletedBy, ...restored } = item;
+    store.update(restored);
+    res.json(projectItem(def, restored));
+}
 
-const upload = multer({
-    storage: multer.diskStorage({
-        destination: (_req, _file, cb) => cb(null, UPLOAD_DIR),
-        filename: (_req, file, cb) => {
-            const ext =
-                mime.extension(file.mimetype) ||
-                path.extname(file.originalname).slice(1) ||
-                "bin";
-            cb(null, `${randomUUID()}.${ext}`);
-        },
-    }),
-    limits: { fileSize: MAX_MB * 1024 * 1024 },
-    fileFilter: (_req, file, cb) => {
-        const ok = ALLOWED_IMAGE_RE.test(file.mimetype);
-        cb(ok ? null : new Error("Only image files are allowed"));
-    },
+/* -------------------------------- history --------------------------------- */
+const revisions = createRevisions({
+    store,
+    maxPerItem: parseInt(process.env.REVISIONS_MAX_PER_ITEM || "20", 10),
+    maxAgeDays: parseFloat(process.env.REVISIONS_MAX_AGE_DAYS || "90"),
 });
 
-app.post("/upload", upload.single("image"), (req, res) => {
+// історію бачать власник і адмін; модератор — лише свою
+function canSeeHistory(req, def, item) {
+    return isOwnItem(req, def, item) || req.role === "admin";
+}
+
+function projectRevision(def, rev) {
+    const { action, by, version, changed, data } = rev.payload;
+    return { id: rev.id, at: rev.createdAt, action, by, version, changed, payload: projectPayload(def, data) };
+}
+
+function getHistory(req, res) {
+    const { def, item } = req;
+    if (!canSeeHistory(req, def, item)) return forbidden(res);
+    const data = revisions.forItem(item.id).map((rev) => projectRevision(def, rev));
+    res.json({ id: item.id, version: itemVersion(item), data, total: data.length });
+}
+
+// повернення payload з ревізії — звичайне редагування (If-Match, перевірки, нова версія);
+// видалений item власник чи адмін повертає разом з відновленням — за правилами restore
+function revertItem(req, res) {
+    const { def, item } = req;
+    if (item.deletedAt && !canModerate(req, def) && item.deletedBy !== requesterId(req)) return forbidden(res);
+    if (ifMatchFails(req, item)) return preconditionFailed(res, item);
+    const rev = revisions.get(item.id, req.params.revisionId);
+    if (!rev) return res.status(404).json({ error: "Revision not found" });
+
+    saveItem(req, res, rev.payload.data, "revert", { restore: !!item.deletedAt });
+}
+
+/* ------------------------------ share links ------------------------------- */
+// непубліковане посилання: лише читання одного item'а (картки або добірки з її картками)
+const MAX_SHARES_PER_ITEM = 20;
+const shares = createShares({ store });
+
+const shareSchema = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        // без expiresAt — діє, доки власник не відкличе
+        expiresAt: { anyOf: [{ type: "string", format: "date-time" }, { type: "null" }] },
+    },
+};
+const validateShare = ajv.compile(shareSchema);
+
+// токен — лише у відповіді на створення; далі посилання видно без нього
+function projectShare(share, token) {
+    return {
+        id: share.id,
+        createdAt: share.createdAt,
+        expiresAt: share.payload.expiresAt,
+        expired: shares.isExpired(share),
+        ...(token ? { token, url: `/shared/${token}` } : {}),
+    };
+}
+
+const shareResponse = (withToken) => ({
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        id: { type: "string" },
+        createdAt: { type: "string" },
+        expiresAt: nullable({ type: "string" }),
+        expired: { type: "boolean" },
+        ...(withToken ? { token: { type: "string" }, url: { type: "string" } } : {}),
+    },
+    required: ["id", "createdAt", "expiresAt", "expired", ...(withToken ? ["token", "url"] : [])],
+});
+api.schema("ShareInput", shareSchema);
+api.schema("Share", shareResponse(false));
+api.schema("ShareCreated", shareResponse(true));
+
+function notShareable(res, def) {
+    return res.status(400).json({
+        error: "Not shareable",
+        errors: [{ field: "kind", message: `"${def.kind}" does not support share links`, code: "shareable" }],
+    });
+}
+
+// створює посилання лише власник; переглядає й відкликає власник або адмін
+const canManageShares = (req, def, item) => isOwnItem(req, def, item) || req.role === "admin";
+
+function listShares(req, res) {
+    const { def, item } = req;
+    if (!def.shareable) return notShareable(res, def);
+    if (!canManageShares(req, def, item)) return forbidden(res);
+    const data = shares.forTarget(item.id).map((s) => projectShare(s));
+    res.json({ data, total: data.length });
+}
+
+function createShare(req, res) {
+    const { def, item } = req;
+    if (!def.shareable) return notShareable(res, def);
+    if (!isOwnItem(req, def, item)) return forbidden(res);
+
+    const body = { ...(req.body || {}) };
+    if (!validateShare(body)) return validationFailed(res, validateShare);
+    const expiresAt = body.expiresAt ? new Date(body.expiresAt).toISOString() : null;
+    if (expiresAt && expiresAt <= new Date().toISOString())
+        return res.status(400).json({
+            error: "Validation failed",
+            errors: [{ field: "expiresAt", message: "must be in the future", code: "minimum" }],
+        });
+
+    shares.prune(item.id);
+    if (shares.forTarget(item.id).length >= MAX_SHARES_PER_ITEM)
+        return res.status(403).json({
+            error: "Share limit reached",
+            errors: [{ field: "id", message: `At most ${MAX_SHARES_PER_ITEM} share links per item`, code: "quota" }],
+        });
+
+    const { share, token } = shares.create(item, { by: requesterId(req), expiresAt });
+    res.status(201).json(projectShare(share, token));
+}
+
+// відкликане посилання одразу перестає працювати (GET /shared/:token — 404)
+function revokeShare(req, res) {
+    const { def, item } = req;
+    if (!def.shareable) return notShareable(res, def);
+    if (!canManageShares(req, def, item)) return forbidden(res);
+    const share = shares.get(item.id, req.params.shareId);
+    if (!share) return res.status(404).json({ error: "Share link not found" });
+    shares.remove(share.id);
+    res.json({ ok: true, removedId: share.id });
+}
+
+const moderationSchema = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        status: { enum: ["pending", "approved", "hidden"] },
+        reason: { type: "string", maxLength: 500 },
+    },
+    required: ["status"],
+};
+const validateModeration = ajv.compile(moderationSchema);
+
+// схвалити / приховати / повернути в чергу (moderate); версія й updatedAt
+// не змінюються — це не редагування вмісту, тож If-Match автора не ламається.
+// Відкриті скарги на item при цьому закриваються.
+function moderateItem(req, res) {
+    const body = { ...(req.body || {}) };
+    if (!validateModeration(body)) return validationFailed(res, validateModeration);
+
+    const moderation = {
+        status: body.status,
+        reason: body.reason || null,
+        by: requesterId(req) || null,
+        at: new Date().toISOString(),
+    };
+    const merged = { ...req.item, moderation };
+    if (!validateItem(merged)) return validationFailed(res, validateItem);
+
+    store.update(merged);
+    resolveReports(merged.id, moderation);
+    res.json(projectItem(req.def, merged));
+}
+
+// реєстрація kind'ів (адмін)
+api.describe("get /collections", {
+    tags: ["collections"],
+    summary: "Registered kinds with their payload schemas",
+    responses: {
+        200: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                data: {
+                    type: "array",
+                    items: {
+                        type: "object",
+                        additionalProperties: false,
+                        properties: {
+                            kind: { type: "string" },
+                            builtin: { type: "boolean" },
+                            publicFields: { type: "array", items: { type: "string" } },
+                            ownerField: { type: "string" },
+                            defaultSort: { type: "string" },
+                            visibilityField: nullable({ type: "string" }),
+                            filterFields: { type: "array", items: { type: "string" } },
+                            permissions: nullable({ type: "object" }),
+                            schema: { type: "object" },
+                        },
+                        required: ["kind", "builtin", "publicFields", "ownerField", "defaultSort", "visibilityField", "filterFields", "schema"],
+                    },
+                },
+            },
+            required: ["data"],
+        },
+    },
+});
+app.get("/collections", (_req, res) => {
+    res.json({
+        data: collections.list().map((def) => ({
+            kind: def.kind,
+            builtin: def.builtin,
+            publicFields: def.publicFields,
+            ownerField: def.ownerField,
+            defaultSort: def.defaultSort,
+            visibilityField: def.visibilityField,
+            filterFields: def.filterFields,
+            permissions: def.permissions,
+            schema: def.schema,
+        })),
+    });
+});
+
+const KIND_SCHEMA_RESULT = {
+    type: "object",
+    additionalProperties: false,
+    properties: { ok: { const: true }, kind: { type: "string" }, schema: { type: "object" } },
+    required: ["ok", "kind", "schema"],
+};
+api.describe("put /collections/:kind/schema", {
+    tags: ["collections"],
+    summary: "Register or replace a kind",
+    auth: "admin",
+    body: collectionSpecSchema,
+    responses: { 200: KIND_SCHEMA_RESULT, 201: KIND_SCHEMA_RESULT },
+});
+app.put("/collections/:kind/schema", serialized(authorize("update", "schema"), (req, res) => {
+    const existed = !!collections.get(req.params.kind);
+    const r = collections.register(req.params.kind, req.body || {}, formatAjvErrors);
+    if (r.errors) return res.status(400).json({ error: "Validation failed", errors: r.errors });
+    searchIndex.rebuild(store.all()); // searchFields могли змінитися
+    res.status(existed ? 200 : 201).json({ ok: true, kind: r.def.kind, schema: r.def.schema });
+}));
+
+api.describe("delete /collections/:kind/schema", {
+    tags: ["collections"],
+    summary: "Unregister a kind (items stay in the database)",
+    auth: "admin",
+    responses: {
+        200: {
+            type: "object",
+            additionalProperties: false,
+            properties: { ok: { const: true }, kind: { type: "string" } },
+            required: ["ok", "kind"],
+        },
+    },
+});
+app.delete("/collections/:kind/schema", serialized(authorize("delete", "schema"), (req, res) => {
+    if (!collections.unregister(req.params.kind))
+        return res.status(404).json({ error: "Not found" });
+    searchIndex.rebuild(store.all());
+    res.json({ ok: true, kind: req.params.kind });
+}));
+
+// GET /:id/history; payload ревізії — та сама публічна проєкція, що й у item
+function historySchema(def) {
+    return {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+            id: { type: "string" },
+            version: int(1),
+            data: {
+                type: "array",
+                items: {
+                    type: "object",
+                    additionalProperties: false,
+                    properties: {
+                        id: { type: "string" },
+                        at: { type: "string" },
+                        action: { enum: ["update", "delete", "revert", "import"] },
+                        by: nullable({ type: "string" }),
+                        version: int(1),
+                        changed: { type: "array", items: { type: "string" } },
+                        payload: itemProjectionSchema(def).properties.payload,
+                    },
+                    required: ["id", "at", "action", "by", "version", "changed", "payload"],
+                },
+            },
+            total: int(),
+        },
+        required: ["id", "version", "data", "total"],
+    };
+}
+
+function reactionSchema(def) {
+    return {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+            id: { type: "string" },
+            type: { type: "string" },
+            active: { type: "boolean" },
+            reactions: itemProjectionSchema(def).properties.reactions || { type: "object" },
+        },
+        required: ["id", "type", "active", "reactions"],
+    };
+}
+
+const schemaName = (kind) => kind[0].toUpperCase() + kind.slice(1);
+
+/**
+ * Опис маршрутів items для /openapi.json. Фіксований kind має свої компоненти
+ * (Comment, CommentInput, ...), /collections/:kind — загальні (Item, ...).
+ * Відповіді — (req) => схема: перевіряються схемою kind'а запиту (req.def).
+ */
+function describeItemRoutes(base, kind) {
+    const name = kind ? schemaName(kind) : "Item";
+    const defFor = () => (kind ? collections.get(kind) : null);
+    const forReq = (build, component) => (req) => (req ? build(req.def, req) : ref(component));
+    const tags = [kind ? base.slice(1) : "collections"];
+
+    api.schema(name, () => itemProjectionSchema(defFor()));
+    api.schema(`${name}Input`, () => itemInputSchema(defFor()));
+    api.schema(`${name}Patch`, () => itemInputSchema(defFor(), { partial: true }));
+    api.schema(`${name}History`, () => historySchema(defFor()));
+    api.schema(`${name}Reaction`, () => reactionSchema(defFor()));
+    api.schema(`${name}Thread`, () => threadNodeSchema(defFor(), ref(`${name}Thread`)));
+
+    const item = forReq((def) => itemProjectionSchema(def), name);
+    const ifMatch = "Conditional mutations: send If-Match with the ETag (version) to get 412 instead of overwriting a newer version.";
+
+    api.describe(`get ${base}`, {
+        tags,
+        summary: "List items visible to the requester",
+        query: {
+            page: { description: "Page number (ignored with cursor)", schema: int(1) },
+            limit: { description: "Page size, at most 200", schema: int(1) },
+            cursor: "nextCursor of the previous page",
+            sort: "Comma-separated fields, '-' for descending (e.g. -rating,createdAt)",
+            fields: "Comma-separated payload fields to return",
+            filter: { description: "filter[field][op]=value, op: eq, ne, gt, gte, lt, lte, in, contains", schema: { type: "object" } },
+            onlyPublic: { description: "For kinds with a visibility field: public items instead of own", schema: { type: "boolean" } },
+        },
+        responses: {
+            200: (req) => pageOf(req ? itemProjectionSchema(req.def, { partial: !!req.query.fields }) : ref(name), { cursor: true }),
+        },
+    });
+    api.describe(`post ${base}`, {
+        tags,
+        summary: "Create an item owned by the requester",
+        auth: "user",
+        body: ref(`${name}Input`),
+        responses: { 201: item },
+    });
+    api.describe(`get ${base}/:id`, { tags, summary: "Get an item (ETag = version)", responses: { 200: item } });
+    api.describe(`patch ${base}/:id`, {
+        tags,
+        summary: "Update an item (partial payload)",
+        description: ifMatch,
+        auth: "user",
+        body: ref(`${name}Patch`),
+        responses: { 200: item },
+    });
+    api.describe(`delete ${base}/:id`, { tags, summary: "Soft-delete an item", description: ifMatch, auth: "user", responses: { 200: REMOVED } });
+    api.describe(`patch ${base}/:id/moderation`, {
+        tags,
+        summary: "Approve, hide or re-queue an item",
+        auth: "user",
+        body: moderationSchema,
+        responses: { 200: item },
+    });
+    api.describe(`post ${base}/:id/restore`, { tags, summary: "Restore a soft-deleted item", auth: "user", responses: { 200: item } });
+    api.describe(`post ${base}/:id/report`, {
+        tags,
+        summary: "Report an item to moderators",
+        auth: "user",
+        body: ref("ReportInput"),
+        responses: { 201: ref("ReportReceipt") },
+    });
+    api.describe(`get ${base}/:id/thread`, {
+        tags,
+        summary: "Item with its visible replies as a tree",
+        responses: { 200: forReq((def) => ({ $defs: { node: threadNodeSchema(def, { $ref: "#/$defs/node" }) }, $ref: "#/$defs/node" }), `${name}Thread`) },
+    });
+    api.describe(`get ${base}/:id/history`, {
+        tags,
+        summary: "Previous versions of an item, also a deleted one (owner or admin)",
+        auth: "user",
+        responses: { 200: forReq(historySchema, `${name}History`) },
+    });
+    api.describe(`post ${base}/:id/history/:revisionId/revert`, {
+        tags,
+        summary: "Restore the payload of a revision as a new version (undeletes a deleted item)",
+        description: ifMatch,
+        auth: "user",
+        responses: { 200: item },
+    });
+    api.describe(`post ${base}/:id/reactions/:type`, {
+        tags,
+        summary: "Toggle a reaction of the requester",
+        auth: "user",
+        responses: { 200: forReq(reactionSchema, `${name}Reaction`) },
+    });
+    api.describe(`get ${base}/:id/shares`, {
+        tags,
+        summary: "Share links of an item (owner or admin)",
+        auth: "user",
+        responses: {
+            200: {
+                type: "object",
+                additionalProperties: false,
+                properties: { data: { type: "array", items: ref("Share") }, total: int() },
+                required: ["data", "total"],
+            },
+        },
+    });
+    api.describe(`post ${base}/:id/shares`, {
+        tags,
+        summary: "Create an unlisted read-only link (the token is shown only here)",
+        auth: "user",
+        body: ref("ShareInput"),
+        responses: { 201: ref("ShareCreated") },
+    });
+    api.describe(`delete ${base}/:id/shares/:shareId`, { tags, summary: "Revoke a share link", auth: "user", responses: { 200: REMOVED } });
+}
+
+/**
+ * Маршрути items для kind'а: фіксований (comments, cards) або з URL (:kind).
+ * Права перевіряє authorize, мутації йдуть через чергу разом з перевіркою.
+ */
+function mountItemRoutes(base, kind) {
+    describeItemRoutes(base, kind);
+    app.get(base, authorize("read", kind), listItems);
+    // ліміт частоти — до черги: відхилений запит не чекає на чужі записи
+    // (authorize перед ним дає req.def для групи ліміту; у черзі — ще раз, зі свіжим станом)
+    app.post(base, authorize("create", kind), rateLimit(), serialized(authorize("create", kind), createItem));
+    app.get(`${base}/:id`, authorize("read", kind), getItem);
+    app.patch(`${base}/:id`, serialized(authorize("update", kind), updateItem));
+    app.delete(`${base}/:id`, serialized(authorize("delete", kind), deleteItem));
+    app.patch(`${base}/:id/moderation`, serialized(authorize("moderate", kind), moderateItem));
+    app.post(`${base}/:id/restore`, serialized(authorize("delete", kind, { deleted: true }), restoreItem));
+    app.post(`${base}/:id/report`, serialized(authorize("read", kind), reportItem));
+    app.get(`${base}/:id/thread`, authorize("read", kind), getThread);
+    app.get(`${base}/:id/history`, authorize("read", kind, { deleted: "any" }), getHistory);
+    app.post(`${base}/:id/history/:revisionId/revert`, serialized(authorize("update", kind, { deleted: "any" }), revertItem));
+    app.post(`${base}/:id/reactions/:type`, serialized(authorize("read", kind), toggleReaction));
+    app.get(`${base}/:id/shares`, authorize("read", kind), listShares);
+    app.post(`${base}/:id/shares`, serialized(authorize("update", kind), createShare));
+    app.delete(`${base}/:id/shares/:shareId`, serialized(authorize("update", kind), revokeShare));
+}
+
+mountItemRoutes("/collections/:kind");
+
+/* ------------------------------- comments --------------------------------- */
+mountItemRoutes("/comments", "comment");
+
+/* ------------------------------- user cards ------------------------------- */
+mountItemRoutes("/cards", "userCard");
+
+/* ---------------------------- card collections ---------------------------- */
+// /collections уже зайнято реєстром kind'ів — добірки карток живуть під /card-collections
+mountItemRoutes("/card-collections", "cardCollection");
+
+/**
+ * Картки добірки в її порядку, проєктовані як у GET /cards: лише ті, що запит
+ * і так може відкрити (публічні, власні). Посилання на добірку (viaShare)
+ * відкриває й приватні картки її власника — так само, як посилання на картку.
+ * Видалені й приховані пропускаються завжди.
+ */
+function collectionCards(req, collection, { viaShare = false } = {}) {
+    const def = collections.get("userCard");
+    const owner = collection.payload.authorId;
+    const data = collection.payload.cardIds
+        .map((id) => store.get(id))
+        .filter((c) => c?.payload?.kind === "userCard"
+            && (canView(req, def, c) || (viaShare && isPublished(c) && c.payload.authorId === owner)))
+        .map((c) => projectItem(def, c, requesterId(req)));
+    return { data, total: data.length };
+}
+
+// cardIds у відповіді — рівно ті картки, що показані
+function collectionWithCards(req, item, { viaShare = false } = {}) {
+    const cards = collectionCards(req, item, { viaShare });
+    const collection = projectItem(collections.get("cardCollection"), item, requesterId(req));
+    collection.payload.cardIds = cards.data.map((c) => c.id);
+    return { collection, cards };
+}
+
+const collectionWithCardsSchema = {
+    collection: ref("CardCollection"),
+    cards: {
+        type: "object",
+        additionalProperties: false,
+        properties: { data: { type: "array", items: ref("UserCard") }, total: int() },
+        required: ["data", "total"],
+    },
+};
+api.describe("get /card-collections/:id/cards", {
+    tags: ["card-collections"],
+    summary: "A collection with its cards in order, projected as in GET /cards",
+    responses: {
+        200: {
+            type: "object",
+            additionalProperties: false,
+            properties: collectionWithCardsSchema,
+            required: ["collection", "cards"],
+        },
+    },
+});
+app.get("/card-collections/:id/cards", authorize("read", "cardCollection"), (req, res) => {
+    res.json(collectionWithCards(req, req.item));
+});
+
+/**
+ * Перегляд за посиланням (POST /cards/:id/shares, /card-collections/:id/shares):
+ * без входу й незалежно від isPublic, лише читання. Невідомий, прострочений
+ * чи відкликаний токен, як і видалений або прихований item, — 404.
+ */
+api.describe("get /shared/:token", {
+    tags: ["shares"],
+    summary: "Open a card or a collection by its share link",
+    responses: {
+        200: {
+            oneOf: [
+                {
+                    type: "object",
+                    additionalProperties: false,
+                    properties: { kind: { const: "userCard" }, card: ref("UserCard") },
+                    required: ["kind", "card"],
+                },
+                {
+                    type: "object",
+                    additionalProperties: false,
+                    properties: { kind: { const: "cardCollection" }, ...collectionWithCardsSchema },
+                    required: ["kind", "collection", "cards"],
+                },
+            ],
+        },
+    },
+});
+app.get("/shared/:token", (req, res) => {
+    const share = shares.resolve(req.params.token);
+    const item = share && store.get(share.payload.targetId);
+    const def = item && collections.get(item.payload.kind);
+    if (!def?.shareable || !isPublished(item) || grantFor(def.permissions, "read", req.role) === "none")
+        return res.status(404).json({ error: "Not found" });
+
+    // посилання не публічне — пошуковикам і проміжним кешам його вміст не потрібен
+    res.setHeader("Cache-Control", "private, no-store");
+    res.setHeader("X-Robots-Tag", "noindex");
+    if (def.kind === "cardCollection") return res.json({ kind: def.kind, ...collectionWithCards(req, item, { viaShare: true }) });
+    res.json({ kind: def.kind, card: projectItem(def, item, requesterId(req)) });
+});
+
+/* ------------------------- reports / moderation queue --------------------- */
+const REPORT_REASONS = ["spam", "abuse", "spoiler", "off-topic", "other"];
+const reportSchema = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        reason: { enum: REPORT_REASONS },
+        message: { type: "string", maxLength: 1000 },
+    },
+    required: ["reason"],
+};
+const validateReport = ajv.compile(reportSchema);
+api.schema("ReportInput", reportSchema);
+api.schema("ReportReceipt", {
+    type: "object",
+    additionalProperties: false,
+    properties: { ok: { const: true }, id: { type: "string" }, targetId: { type: "string" }, reason: { enum: REPORT_REASONS } },
+    required: ["ok", "id", "targetId", "reason"],
+});
+
+const openReportsFor = (targetId) =>
+    store.byKind("report").filter((r) => r.payload.targetId === targetId && r.payload.status === "open");
+
+// скарга від глядача; одна відкрита скарга на item від одного акаунта
+function reportItem(req, res) {
+    const { def, item } = req;
+    const requester = requesterId(req);
+    if (!requester) return unauthorized(res);
+
+    const body = { ...(req.body || {}) };
+    if (!validateReport(body)) return validationFailed(res, validateReport);
+    if (openReportsFor(item.id).some((r) => r.payload.reporterId === requester))
+        return res.status(409).json({
+            error: "Already reported",
+            errors: [{ field: "reason", message: "You have already reported this item", code: "duplicate" }],
+        });
+
+    const now = new Date().toISOString();
+    const report = {
+        id: randomUUID(),
+        createdAt: now,
+        updatedAt: now,
+        version: 1,
+        payload: {
+            kind: "report",
+            targetId: item.id,
+            targetKind: def.kind,
+            reporterId: requester,
+            reason: body.reason,
+            message: body.message || null,
+            status: "open",
+        },
+    };
+    store.insert(report);
+    res.status(201).json({ ok: true, id: report.id, targetId: item.id, reason: body.reason });
+}
+
+function resolveReports(targetId, moderation) {
+    for (const r of openReportsFor(targetId)) {
+        store.update({
+            ...r,
+            updatedAt: moderation.at,
+            version: itemVersion(r) + 1,
+            payload: { ...r.payload, status: "resolved", resolution: moderation.status, resolvedBy: moderation.by },
+        });
+    }
+}
+
+/**
+ * Черга модерації по всіх kind'ах, де роль має moderate: any.
+ *   ?status=pending|hidden|deleted|reported (за замовчуванням — усе, що потребує уваги)
+ *   ?kind=comment
+ */
+const MODERATION_FILTERS = ["pending", "hidden", "deleted", "reported"];
+
+// проєкція item (будь-якого kind'а) + автор, стан модерації і відкриті скарги
+const moderationEntrySchema = () => {
+    const item = itemProjectionSchema(null);
+    return {
+        ...item,
+        properties: {
+            ...item.properties,
+            authorId: nullable({ type: "string" }),
+            moderation: nullable(itemSchema.properties.moderation),
+            deletedAt: nullable({ type: "string" }),
+            deletedBy: nullable({ type: "string" }),
+            reports: {
+                type: "object",
+                additionalProperties: false,
+                properties: {
+                    count: int(),
+                    reasons: { type: "object", additionalProperties: int(1) },
+                    latest: {
+                        type: "array",
+                        items: {
+                            type: "object",
+                            additionalProperties: false,
+                            properties: {
+                                id: { type: "string" },
+                                reason: { enum: REPORT_REASONS },
+                                message: nullable({ type: "string" }),
+                                createdAt: { type: "string" },
+                            },
+                            required: ["id", "reason", "message", "createdAt"],
+                        },
+                    },
+                },
+                required: ["count", "reasons", "latest"],
+            },
+        },
+        required: [...item.required, "authorId", "moderation", "deletedAt", "deletedBy", "reports"],
+    };
+};
+api.schema("ModerationEntry", moderationEntrySchema);
+
+api.describe("get /moderation", {
+    tags: ["moderation"],
+    summary: "Moderation queue across kinds the requester moderates",
+    auth: "user",
+    query: {
+        status: { description: "Default: everything that needs attention", schema: { enum: MODERATION_FILTERS } },
+        kind: "Only this kind",
+        page: { schema: int(1) },
+        limit: { schema: int(1) },
+    },
+    responses: { 200: pageOf(ref("ModerationEntry")) },
+});
+app.get("/moderation", (req, res) => {
+    const kinds = collections.list().filter((d) => canModerate(req, d));
+    if (!kinds.length) return req.role === "guest" ? unauthorized(res) : forbidden(res);
+
+    const status = req.query.status ? String(req.query.status) : null;
+    const kind = req.query.kind ? String(req.query.kind) : null;
+    const errors = [];
+    if (status && !MODERATION_FILTERS.includes(status))
+        errors.push({ field: "status", message: `must be one of: ${MODERATION_FILTERS.join(", ")}`, code: "enum" });
+    if (kind && !kinds.some((d) => d.kind === kind))
+        errors.push({ field: "kind", message: `"${kind}" is not moderated by you`, code: "kind" });
+    if (errors.length) return res.status(400).json({ error: "Invalid query", errors });
+
+    const reports = new Map();
+    for (const r of store.byKind("report")) {
+        if (r.payload.status !== "open") continue;
+        if (!reports.has(r.payload.targetId)) reports.set(r.payload.targetId, []);
+        reports.get(r.payload.targetId).push(r);
+    }
+
+    const matchesStatus = (i) => {
+        const reported = reports.has(i.id);
+        if (status === "deleted") return !!i.deletedAt;
+        if (status === "reported") return reported && !i.deletedAt;
+        if (status) return moderationStatus(i) === status && !i.deletedAt;
+        return !!i.deletedAt || reported || moderationStatus(i) !== "approved";
+    };
+
+    const list = [];
+    for (const def of kinds) {
+        if (kind && def.kind !== kind) continue;
+        for (const i of store.byKind(def.kind)) {
+            if (matchesStatus(i)) list.push({ def, item: i });
+        }
+    }
+    list.sort((a, b) => (a.item.updatedAt < b.item.updatedAt ? 1 : -1));
+
+    const paged = paginate(list, req.query.page, req.query.limit);
+    res.json({
+        ...paged,
+        data: paged.data.map(({ def, item }) => {
+            const open = reports.get(item.id) || [];
+            return {
+                ...projectItem(def, item),
+                authorId: item.payload[def.ownerField] || null,
+                moderation: item.moderation || null,
+                deletedAt: item.deletedAt || null,
+                deletedBy: item.deletedBy || null,
+                reports: {
+                    count: open.length,
+                    reasons: open.reduce((acc, r) => ({ ...acc, [r.payload.reason]: (acc[r.payload.reason] || 0) + 1 }), {}),
+                    latest: open.slice(-5).map((r) => ({
+                        id: r.id,
+                        reason: r.payload.reason,
+                        message: r.payload.message,
+                        createdAt: r.createdAt,
+                    })),
+                },
+            };
+        }),
+    });
+});
+
+/* ---------------------------- users & roles ------------------------------- */
+const roleSchema = {
+    type: "object",
+    additionalProperties: false,
+    properties: { role: { enum: ASSIGNABLE_ROLES } },
+    required: ["role"],
+};
+const validateRole = ajv.compile(roleSchema);
+
+api.describe("get /admin/users", {
+    tags: ["users"],
+    summary: "Accounts, newest first",
+    auth: "admin",
+    query: { role: "Only this role", page: { schema: int(1) }, limit: { schema: int(1) } },
+    responses: { 200: pageOf(USER) },
+});
+app.get("/admin/users", authorize("read", "user"), (req, res) => {
+    const role = req.query.role ? String(req.query.role) : null;
+    let list = store.byKind("user");
+    if (role) list = list.filter((u) => (u.payload.role || "user") === role);
+    list.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+
+    const paged = paginate(list, req.query.page, req.query.limit);
+    res.json({ ...paged, data: paged.data.map(publicUser) });
+});
+
+api.describe("patch /admin/users/:id/role", {
+    tags: ["users"],
+    summary: "Change the role of an account",
+    auth: "admin",
+    body: roleSchema,
+    responses: { 200: USER },
+});
+app.patch("/admin/users/:id/role", serialized(authorize("update", "user"), (req, res) => {
+    const body = { ...(req.body || {}) };
+    if (!validateRole(body)) return validationFailed(res, validateRole);
+    res.json(publicUser(users.updateUser(req.item, { role: body.role })));
+}));
+
+/* --------------------------------- search --------------------------------- */
+// індекс живе в пам'яті і оновлюється з кожною зміною сховища
+const searchIndex = createSearchIndex({
+    fieldsFor: (kind) => collections.get(kind)?.searchFields || null,
+});
+store.subscribe(searchIndex.onChange);
+
+// збіг — проєкція свого kind'а + score; у документі — будь-який kind
+function searchHitSchema(def) {
+    const item = itemProjectionSchema(def);
+    return { ...item, properties: { score: { type: "number" }, ...item.properties }, required: ["score", ...item.required] };
+}
+api.schema("SearchHit", () => searchHitSchema(null));
+
+api.describe("get /search", {
+    tags: ["search"],
+    summary: "Full-text search across searchable kinds",
+    query: {
+        q: { description: "Search query", required: true },
+        kind: "Comma-separated kinds (default: all searchable)",
+        page: { schema: int(1) },
+        limit: { schema: int(1) },
+    },
+    // { not: {} } — щоб anyOf не був порожнім, коли пошукових kind'ів немає
+    responses: {
+        200: (req) =>
+            pageOf(req
+                ? { anyOf: [...collections.list().filter((d) => d.searchFields).map(searchHitSchema), { not: {} }] }
+                : ref("SearchHit")),
+    },
+});
+app.get("/search", (req, res) => {
+    const q = (req.query.q || "").toString().trim();
+    if (!q)
+        return res.status(400).json({
+            error: "Parameter 'q' is required",
+            errors: [{ field: "q", message: "Search query is required", code: "required" }],
+        });
+
+    const searchable = collections.list().filter((d) => d.searchFields).map((d) => d.kind);
+    const kinds = req.query.kind ? String(req.query.kind).split(",").map((k) => k.trim()) : searchable;
+    const unknown = kinds.filter((k) => !searchable.includes(k));
+    if (unknown.length)
+        return res.status(400).json({
+            error: "Invalid query",
+            errors: unknown.map((k) => ({ field: "kind", message: `"${k}" is not searchable`, code: "kind" })),
+        });
+
+    const requester = requesterId(req);
+    // ті самі правила видимості, що й у GET /cards: публічні, власні або все для адміна
+    const hits = searchIndex.search(q, { kinds }).filter((h) => {
+        const item = store.get(h.id);
+        const def = collections.get(h.kind);
+        return item && grantFor(def.permissions, "read", req.role) !== "none" && canView(req, def, item);
+    });
+
+    const paged = paginate(hits, req.query.page, req.query.limit, 20);
+    const data = paged.data.map((h) => {
+        const def = collections.get(h.kind);
+        return { score: +h.score.toFixed(4), ...projectItem(def, store.get(h.id), requester) };
+    });
+
+    res.json({ ...paged, data });
+});
+
+/* ------------------------------ movie stats ------------------------------- */
+// рахуються опубліковані кореневі коментарі; відповіді в треді — обговорення, не відгук
+const ratingStats = createRatingStats({
+    include: (item) => item.payload?.kind === "comment" && !item.payload.parentId && isPublished(item),
+});
+store.subscribe(ratingStats.onChange);
+
+const MAX_STATS_IDS = 100;
+const canReadStats = (req) => grantFor(collections.get("comment").permissions, "read", req.role) !== "none";
+
+const MOVIE_STATS = api.schema("MovieStats", {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        imdbID: { type: "string" },
+        count: int(),
+        average: nullable({ type: "number" }),
+        histogram: {
+            type: "object",
+            additionalProperties: false,
+            properties: Object.fromEntries([1, 2, 3, 4, 5].map((r) => [r, int()])),
+            required: ["1", "2", "3", "4", "5"],
+        },
+        latestCommentAt: nullable({ type: "string" }),
+    },
+    required: ["imdbID", "count", "average", "histogram", "latestCommentAt"],
+});
+
+// пакетний варіант для списків фільмів: ?ids=tt0133093,tt0234215
+api.describe("get /movies/stats", {
+    tags: ["movies"],
+    summary: "Rating stats for several movies",
+    query: { ids: { description: `Comma-separated imdbIDs, at most ${MAX_STATS_IDS}`, required: true } },
+    responses: {
+        200: {
+            type: "object",
+            additionalProperties: false,
+            properties: { data: { type: "object", additionalProperties: MOVIE_STATS } },
+            required: ["data"],
+        },
+    },
+});
+app.get("/movies/stats", authorize("read", "comment"), (req, res) => {
+    const ids = [...new Set(String(req.query.ids || "").split(",").map((s) => s.trim()).filter(Boolean))];
+    if (!ids.length)
+        return res.status(400).json({
+            error: "Parameter 'ids' is required",
+            errors: [{ field: "ids", message: "Comma-separated imdbIDs are required", code: "required" }],
+        });
+    if (ids.length > MAX_STATS_IDS)
+        return res.status(400).json({
+            error: "Too many ids",
+            errors: [{ field: "ids", message: `At most ${MAX_STATS_IDS} ids per request`, code: "maxItems" }],
+        });
+    res.json({ data: Object.fromEntries(ids.map((id) => [id, ratingStats.get(id)])) });
+});
+
+api.describe("get /movies/:imdbID/stats", { tags: ["movies"], summary: "Rating stats of a movie", responses: { 200: MOVIE_STATS } });
+app.get("/movies/:imdbID/stats", authorize("read", "comment"), (req, res) => {
+    res.json(ratingStats.get(req.params.imdbID));
+});
+
+/* --------------------------- change feed (SSE) ---------------------------- */
+// кожна зміна items зареєстрованих kind'ів (коментарі, картки, ...) отримує seq;
+// скарги теж журналюються (для вебхуків), але в SSE не потрапляють
+const CHANGES_RETENTION = parseInt(process.env.CHANGES_RETENTION || "1000", 10);
+const SSE_HEARTBEAT_MS = 25000;
+
+const changeLog = createChangeLog({
+    dataDir: DATA_DIR,
+    retention: CHANGES_RETENTION,
+    track: (kind) => kind === "report" || !!collections.get(kind),
+});
+store.subscribe(changeLog.onChange);
+
+/**
+ * Запис журналу очима запиту — ті самі правила, що й у списках (canView):
+ *   став видимим — created, був і лишився — updated, зник (видалення,
+ *   приховування, isPublic: false) — deleted лише з id. Інакше — нічого.
+ */
+function feedEvent(req, entry, filter) {
+    const def = collections.get(entry.kind);
+    if (!def || !filter.kinds.includes(entry.kind)) return null;
+    const shown = (item) =>
+        !!item && (!filter.imdbID || item.payload.imdbID === filter.imdbID) && canView(req, def, item);
+
+    const now = shown(entry.item);
+    const before = shown(entry.prev);
+    if (now) return { event: before ? "updated" : "created", data: { kind: def.kind, item: projectItem(def, entry.item, requesterId(req)) } };
+    if (before) return { event: "deleted", data: { kind: def.kind, id: entry.id } };
+    return null;
+}
+
+/**
+ * GET /changes/stream?kind=comment,userCard&imdbID=tt0133093
+ * Без Last-Event-ID — лише нові події; з ним — пропущені з журналу, а якщо
+ * вони вже випали з журналу — подія reset (клієнт перечитує списки).
+ */
+api.describe("get /changes/stream", {
+    tags: ["changes"],
+    summary: "Server-sent events: created / updated / deleted / reset",
+    description: "EventSource cannot send headers: pass the access token as ?access_token=.",
+    query: {
+        kind: "Comma-separated kinds (default: all readable)",
+        imdbID: "Only items about this movie",
+        lastEventId: { description: "Resume after this seq (or the Last-Event-ID header)", schema: int() },
+        access_token: "Access token for EventSource",
+    },
+    responses: { 200: { content: "text/event-stream", description: "Event stream" } },
+});
+app.get("/changes/stream", (req, res) => {
+    const readable = collections.list().filter((d) => grantFor(d.permissions, "read", req.role) !== "none").map((d) => d.kind);
+    const kinds = req.query.kind ? String(req.query.kind).split(",").map((k) => k.trim()) : readable;
+    const unknown = kinds.filter((k) => !readable.includes(k));
+    if (unknown.length)
+        return res.status(400).json({
+            error: "Invalid query",
+            errors: unknown.map((k) => ({ field: "kind", message: `Unknown or unreadable collection "${k}"`, code: "kind" })),
+        });
+    const filter = { kinds, imdbID: req.query.imdbID ? String(req.query.imdbID) : null };
+
+    const rawLast = req.headers["last-event-id"] ?? req.query.lastEventId;
+    const last = rawLast === undefined || rawLast === "" ? null : parseInt(rawLast, 10);
+    if (last !== null && !(last >= 0))
+        return res.status(400).json({
+            error: "Invalid query",
+            errors: [{ field: "lastEventId", message: "must be a non-negative integer", code: "type" }],
+        });
+
+    res.status(200);
+    res.set({
+        "Content-Type": "text/event-stream; charset=utf-8",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no", // nginx/Render не буферизують потік
+    });
+    res.flushHeaders();
+    res.write("retry: 3000\n\n");
+
+    const send = (entry) => {
+        const ev = feedEvent(req, entry, filter);
+        if (ev) res.write(`id: ${entry.seq}\nevent: ${ev.event}\ndata: ${JSON.stringify({ seq: entry.seq, at: entry.at, ...ev.data })}\n\n`);
+    };
+
+    if (last !== null) {
+        const backlog = changeLog.since(last);
+        if (backlog === null) res.write(`id: ${changeLog.lastSeq()}\nevent: reset\ndata: {"seq":${changeLog.lastSeq()}}\n\n`);
+        else backlog.forEach(send);
+    }
+    const unsubscribe = changeLog.subscribe(send);
+    // коментар з id: з'єднання живе, а Last-Event-ID рухається й за відфільтрованими подіями
+    const heartbeat = setInterval(() => res.write(`id: ${changeLog.lastSeq()}\n: ping\n\n`), SSE_HEARTBEAT_MS);
+    req.on("close", () => {
+        unsubscribe();
+        clearInterval(heartbeat);
+    });
+});
+
+/* -------------------------------- webhooks -------------------------------- */
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || "5000", 10);
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "8", 10);
+const WEBHOOK_RETRY_BASE_SEC = parseFloat(process.env.WEBHOOK_RETRY_BASE_SEC || "10");
+
+// те, що бачить модератор (/moderation): проєкція + автор і стан модерації
+function webhookItem(def, item) {
+    return {
+        kind: def.kind,
+        item: {
+            ...projectItem(def, item),
+            authorId: item.payload[def.ownerField] || null,
+            moderation: item.moderation || null,
+            deletedAt: item.deletedAt || null,
+        },
+    };
+}
+
+/**
+ * Запис журналу -> події "<kind>.<action>". Реакції не змінюють version,
+ * тож не породжують updated; зміни скарг (закриття) подій не мають.
+ */
+function lifecycleEvents(entry) {
+    if (entry.kind === "report") {
+        const report = entry.item;
+        const def = report && collections.get(report.payload.targetKind);
+        const target = def && store.get(report.payload.targetId);
+        if (entry.op !== "insert" || !target) return [];
+        return [{
+            event: `${def.kind}.reported`,
+            data: { ...webhookItem(def, target), report: { id: report.id, reason: report.payload.reason, message: report.payload.message } },
+        }];
+    }
+
+    const def = collections.get(entry.kind);
+    if (!def) return [];
+    const { item, prev } = entry;
+    let action = null;
+    if (entry.op === "insert") action = "created";
+    else if (entry.op === "remove" || (item.deletedAt && !prev.deletedAt)) action = "deleted";
+    else if (!item.deletedAt && prev.deletedAt) action = "restored";
+    else if (moderationStatus(item) !== moderationStatus(prev)) action = "moderated";
+    else if (itemVersion(item) !== itemVersion(prev)) action = "updated";
+    return action ? [{ event: `${def.kind}.${action}`, data: webhookItem(def, item || prev) }] : [];
+}
+
+const webhooks = createWebhooks({
+    store,
+    dataDir: DATA_DIR,
+    changeLog,
+    run: (fn) => writeQueue.run(fn),
+    fetchFn,
+    describe: lifecycleEvents,
+    timeoutMs: WEBHOOK_TIMEOUT_MS,
+    maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+    retryBaseSec: WEBHOOK_RETRY_BASE_SEC,
+    retryMaxSec: 3600,
+    pollMs: 1000,
+});
+
+const webhookSchema = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        url: { type: "string", format: "uri", pattern: "^https?://" },
+        events: { type: "array", items: { type: "string", pattern: EVENT_PATTERN }, minItems: 1, uniqueItems: true },
+        secret: { type: "string", minLength: 16, maxLength: 200 },
+        description: { type: "string", maxLength: 200 },
+        active: { type: "boolean", default: true },
+    },
+    required: ["url", "events"],
+};
+const validateWebhook = ajv.compile(webhookSchema);
+
+// секрет повністю показується лише при створенні
+function projectWebhook(item, { withSecret = false } = {}) {
+    const { url, events, description, active, secret } = item.payload;
+    return {
+        id: item.id,
+        createdAt: item.createdAt,
+        updatedAt: item.updatedAt,
+        url,
+        events,
+        description: description || null,
+        active: active !== false,
+        ...(withSecret ? { secret } : { secretHint: `…${secret.slice(-4)}` }),
+        ...webhooks.counts(item.id),
+    };
+}
+
+const projectDelivery = (d) => ({ ...d, body: JSON.parse(d.body) });
+
+const webhookResponse = (withSecret) => ({
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        id: { type: "string" },
+        createdAt: { type: "string" },
+        updatedAt: { type: "string" },
+        url: webhookSchema.properties.url,
+        events: webhookSchema.properties.events,
+        description: nullable({ type: "string" }),
+        active: { type: "boolean" },
+        ...(withSecret ? { secret: { type: "string" } } : { secretHint: { type: "string" } }),
+        pending: int(),
+        dead: int(),
+    },
+    required: ["id", "createdAt", "updatedAt", "url", "events", "description", "active", withSecret ? "secret" : "secretHint", "pending", "dead"],
+});
+const WEBHOOK = api.schema("Webhook", webhookResponse(false));
+const DELIVERY = api.schema("Delivery", {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        id: { type: "string" },
+        createdAt: { type: "string" },
+        webhookId: { type: "string" },
+        event: { type: "string" },
+        status: { enum: ["pending", "dead"] },
+        attempts: int(),
+        nextAttemptAt: nullable({ type: "string" }),
+        lastAttemptAt: nullable({ type: "string" }),
+        lastStatus: nullable({ type: "integer" }),
+        lastError: nullable({ type: "string" }),
+        body: { type: "object" },
+    },
+    required: ["id", "createdAt", "webhookId", "event", "status", "attempts", "body"],
+});
+const webhookTags = ["webhooks"];
+
+api.describe("get /admin/webhooks", {
+    tags: webhookTags,
+    summary: "Webhook subscriptions",
+    auth: "admin",
+    responses: { 200: { type: "object", additionalProperties: false, properties: { data: { type: "array", items: WEBHOOK } }, required: ["data"] } },
+});
+app.get("/admin/webhooks", authorize("read", "webhook"), (_req, res) => {
+    res.json({ data: store.byKind("webhook").map((w) => projectWebhook(w)) });
+});
+
+api.describe("post /admin/webhooks", {
+    tags: webhookTags,
+    summary: "Subscribe a URL to events (the secret is shown only here)",
+    auth: "admin",
+    body: webhookSchema,
+    responses: { 201: api.schema("WebhookWithSecret", webhookResponse(true)) },
+});
+app.post("/admin/webhooks", serialized(authorize("create", "webhook"), (req, res) => {
+    const body = { ...(req.body || {}) };
+    if (!validateWebhook(body)) return validationFailed(res, validateWebhook);
+
+    const now = new Date().toISOString();
+    const item = store.insert({
+        id: randomUUID(),
+        createdAt: now,
+        updatedAt: now,
+        version: 1,
+        payload: { kind: "webhook", ...body, secret: body.secret || randomBytes(32).toString("hex") },
+    });
+    res.status(201).json(projectWebhook(item, { withSecret: true }));
+}));
+
+api.describe("patch /admin/webhooks/:id", {
+    tags: webhookTags,
+    summary: "Update a subscription",
+    auth: "admin",
+    body: { ...webhookSchema, required: [] },
+    responses: { 200: WEBHOOK },
+});
+app.patch("/admin/webhooks/:id", serialized(authorize("update", "webhook"), (req, res) => {
+    const existing = req.item;
+    const { kind, ...current } = existing.payload;
+    const body = { ...current, ...(req.body || {}) };
+    if (!validateWebhook(body)) return validationFailed(res, validateWebhook);
+
+    const merged = store.update({
+        ...existing,
+        updatedAt: new Date().toISOString(),
+        version: itemVersion(existing) + 1,
+        payload: { kind, ...body },
+    });
+    res.json(projectWebhook(merged));
+}));
+
+// разом з підпискою зникає і її черга (у т.ч. dead)
+api.describe("delete /admin/webhooks/:id", { tags: webhookTags, summary: "Remove a subscription and its deliveries", auth: "admin", responses: { 200: REMOVED } });
+app.delete("/admin/webhooks/:id", serialized(authorize("delete", "webhook"), (req, res) => {
+    webhooks.dropFor(req.item.id);
+    store.remove(req.item.id);
+    res.json({ ok: true, removedId: req.item.id });
+}));
+
+api.describe("post /admin/webhooks/:id/ping", { tags: webhookTags, summary: "Queue a test event", auth: "admin", responses: { 202: DELIVERY } });
+app.post("/admin/webhooks/:id/ping", serialized(authorize("update", "webhook"), (req, res) => {
+    res.status(202).json(projectDelivery(webhooks.ping(req.item)));
+}));
+
+// ?status=dead — dead-letter список; ?webhookId=...
+api.describe("get /admin/webhooks/deliveries", {
+    tags: webhookTags,
+    summary: "Delivery queue (status=dead for the dead-letter list)",
+    auth: "admin",
+    query: { status: { schema: { enum: ["pending", "dead"] } }, webhookId: "Only this subscription" },
+    responses: {
+        200: {
+            type: "object",
+            additionalProperties: false,
+            properties: { data: { type: "array", items: DELIVERY }, total: int() },
+            required: ["data", "total"],
+        },
+    },
+});
+app.get("/admin/webhooks/deliveries", authorize("read", "webhook"), (req, res) => {
+    const { status, webhookId } = req.query;
+    const data = webhooks.deliveries({ status, webhookId }).map(projectDelivery);
+    res.json({ data, total: data.length });
+});
+
+function findDelivery(req, res) {
+    const d = webhooks.delivery(req.params.deliveryId);
+    if (!d) {
+        res.status(404).json({ error: "Not found" });
+        return null;
+    }
+    return d;
+}
+
+api.describe("post /admin/webhooks/deliveries/:deliveryId/replay", {
+    tags: webhookTags,
+    summary: "Send a delivery again from the first attempt",
+    auth: "admin",
+    responses: { 200: DELIVERY },
+});
+app.post("/admin/webhooks/deliveries/:deliveryId/replay", serialized(authorize("update", "webhook"), (req, res) => {
+    const d = findDelivery(req, res);
+    if (d) res.json(projectDelivery(webhooks.replay(d)));
+}));
+
+api.describe("delete /admin/webhooks/deliveries/:deliveryId", { tags: webhookTags, summary: "Drop a delivery", auth: "admin", responses: { 200: REMOVED } });
+app.delete("/admin/webhooks/deliveries/:deliveryId", serialized(authorize("delete", "webhook"), (req, res) => {
+    const d = findDelivery(req, res);
+    if (!d) return;
+    webhooks.drop(d.id);
+    res.json({ ok: true, removedId: d.id });
+}));
+
+/* ------------------------------ image upload ------------------------------ */
+/**
+ * Підтримувані типи (за вмістом файлу, не за mimetype клієнта):
+ *   jpg/jpeg/png/webp/gif/bmp; SVG відхиляється (скрипти всередині)
+ * Ліміт розміру — MAX_UPLOAD_MB (за замовчуванням 5 МБ).
+ * Exif/GPS/XMP прибираються; варіанти UPLOAD_VARIANTS (WebP) — якщо є sharp.
+ */
+const MAX_MB = parseInt(process.env.MAX_UPLOAD_MB || "5", 10);
+const UPLOAD_VARIANTS = (process.env.UPLOAD_VARIANTS || "320,800")
+    .split(",")
+    .map((s) => parseInt(s, 10))
+    .filter((n) => n > 0);
+
+const images = createImagePipeline({
+    sizes: UPLOAD_VARIANTS,
+    maxPixels: parseFloat(process.env.UPLOAD_MAX_MEGAPIXELS || "40") * 1e6,
+});
+if (!images.resizes)
+    console.warn("upload: sharp is not available, resized variants are disabled (npm install sharp to enable them)");
+
+// файл тримаємо в пам'яті, доки не перевіримо вміст — на диск потрапляє лише очищений
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_MB * 1024 * 1024, files: 1 },
+});
+
+function uploadFailed(res, status, message, code) {
+    return res.status(status).json({ error: message, errors: [{ field: "image", message, code }] });
+}
+
+// помилки multer (розмір, зайві файли) — у звичному форматі errors[]
+function receiveImage(req, res, next) {
+    upload.single("image")(req, res, (err) => {
+        if (!err) return next();
+        if (err.code === "LIMIT_FILE_SIZE") return uploadFailed(res, 413, `File is larger than ${MAX_MB} MB`, "size");
+        uploadFailed(res, 400, String(err.message || err), "upload");
+    });
+}
+
+/* --------------------------- upload bookkeeping --------------------------- */
+// кожен файл — item kind "upload" власника; картки посилаються на нього через imageUrl
+const UPLOAD_QUOTA_MB = parseFloat(process.env.UPLOAD_QUOTA_MB || "50");
+const UPLOAD_GC_GRACE_HOURS = parseFloat(process.env.UPLOAD_GC_GRACE_HOURS || "24");
+const UPLOAD_GC_INTERVAL_MIN = parseFloat(process.env.UPLOAD_GC_INTERVAL_MIN || "60");
+
+const uploads = createUploadTracker({ store });
+store.subscribe(uploads.onChange);
+
+const quotaBytes = Math.floor(UPLOAD_QUOTA_MB * 1024 * 1024);
+function quotaExceeded(res, used) {
+    const message = `Upload quota of ${UPLOAD_QUOTA_MB} MB exceeded (used ${(used / 1048576).toFixed(2)} MB)`;
+    return uploadFailed(res, 413, message, "quota");
+}
+
+function projectUpload(item) {
+    const p = item.payload;
+    return {
+        id: item.id,
+        createdAt: item.createdAt,
+        url: p.url,
+        type: p.type,
+        name: p.name,
+        size: p.size,
+        width: p.width,
+        height: p.height,
+        variants: p.variants,
+        thumbnailUrl: p.variants[0]?.url || p.url,
+        refCount: uploads.refCount(item),
+        orphanedAt: p.orphanedAt || null,
+    };
+}
+
+const imageVariant = {
+    type: "object",
+    additionalProperties: false,
+    properties: { url: { type: "string" }, width: int(1), height: int(1), size: int(), type: { type: "string" } },
+    required: ["url", "width", "height", "size", "type"],
+};
+const UPLOAD = api.schema("Upload", {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        id: { type: "string" },
+        createdAt: { type: "string" },
+        url: { type: "string" },
+        type: { type: "string" },
+        name: { type: "string" },
+        size: int(),
+        width: int(1),
+        height: int(1),
+        variants: { type: "array", items: imageVariant },
+        thumbnailUrl: { type: "string" },
+        refCount: int(),
+        orphanedAt: nullable({ type: "string" }),
+    },
+    required: ["id", "createdAt", "url", "type", "name", "size", "width", "height", "variants", "thumbnailUrl", "refCount", "orphanedAt"],
+});
+
+api.describe("post /upload", {
+    tags: ["uploads"],
+    summary: "Upload an image (multipart field \"image\")",
+    auth: "user",
+    body: {
+        content: "multipart/form-data",
+        schema: { type: "object", properties: { image: { type: "string", contentMediaType: "application/octet-stream" } }, required: ["image"] },
+    },
+    responses: { 201: UPLOAD },
+});
+app.post("/upload", authorize("create", "upload"), rateLimit("upload"), receiveImage, async (req, res, next) => {
     try {
-        if (!req.file)
-            return res.status(400).json({
-                error: "No file",
-                errors: [{ field: "image", message: "File is required", code: "required" }],
-            });
+        if (!req.file) return uploadFailed(res, 400, "File is required", "required");
+        const requester = requesterId(req);
+        if (uploads.usage("authorId", requester) + req.file.size > quotaBytes)
+            return quotaExceeded(res, uploads.usage("authorId", requester));
+
+        let img;
+        try {
+            img = await images.process(req.file.buffer);
+        } catch (err) {
+            if (!err.code) return next(err);
+            return uploadFailed(res, err.code === "svg" || err.code === "type" ? 415 : 400, err.message, err.code);
+        }
+
+        const id = randomUUID();
+        const files = [{ name: `${id}.${img.ext}`, data: img.data }];
+        const variants = img.variants.map((v) => {
+            const name = `${id}-${v.width}w.webp`;
+            files.push({ name, data: v.data });
+            return { url: `/uploads/${name}`, width: v.width, height: v.height, size: v.data.length, type: "image/webp" };
+        });
+        const size = files.reduce((sum, f) => sum + f.data.length, 0);
+
+        // квота ще раз у черзі: паралельні завантаження того ж користувача не проскочать
+        const item = await writeQueue.run(async () => {
+            const used = uploads.usage("authorId", requester);
+            if (used + size > quotaBytes) {
+                quotaExceeded(res, used);
+                return null;
+            }
+
+            const now = new Date().toISOString();
+            try {
+                for (const f of files) await fs.promises.writeFile(path.join(UPLOAD_DIR, f.name), f.data);
+                return store.insert({
+                    id,
+                    createdAt: now,
+                    updatedAt: now,
+                    version: 1,
+                    payload: {
+                        kind: "upload",
+                        authorId: requester,
+                        url: `/uploads/${files[0].name}`,
+                        files: files.map((f) => f.name),
+                        type: img.type,
+                        name: req.file.originalname,
+                        size,
+                        width: img.width,
+                        height: img.height,
+                        variants,
+                    },
+                });
+            } catch (err) {
+                // без запису в сховищі файли нікому не належать — не чекаємо GC
+                await Promise.all(files.map((f) => fs.promises.rm(path.join(UPLOAD_DIR, f.name), { force: true })));
+                throw err;
+            }
+        });
+        if (!item) return;
+
+        res.status(201).json(projectUpload(item));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// власні завантаження з кількістю посилань і використанням квоти
+api.describe("get /upload", {
+    tags: ["uploads"],
+    summary: "Own uploads and quota usage",
+    auth: "user",
+    responses: {
+        200: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                data: { type: "array", items: UPLOAD },
+                usage: {
+                    type: "object",
+                    additionalProperties: false,
+                    properties: { bytes: int(), quotaBytes: int() },
+                    required: ["bytes", "quotaBytes"],
+                },
+            },
+            required: ["data", "usage"],
+        },
+    },
+});
+app.get("/upload", authorize("read", "upload"), (req, res) => {
+    const requester = requesterId(req);
+    const data = store
+        .byKind("upload")
+        .filter((u) => u.payload.authorId === requester)
+        .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+        .map(projectUpload);
+    res.json({ data, usage: { bytes: uploads.usage("authorId", requester), quotaBytes } });
+});
+
+// файл, на який ще посилаються, видалити не можна — спершу відв'язати від карток
+api.describe("delete /upload/:id", { tags: ["uploads"], summary: "Delete an unused upload", auth: "user", responses: { 200: REMOVED } });
+app.delete("/upload/:id", serialized(authorize("delete", "upload"), (req, res) => {
+    const item = req.item;
+    const refs = uploads.refCount(item);
+    if (refs > 0)
+        return res.status(409).json({
+            error: "Upload is in use",
+            errors: [{ field: "id", message: `Referenced by ${refs} item(s)`, code: "in_use" }],
+        });
+    for (const name of item.payload.files) fs.rmSync(path.join(UPLOAD_DIR, name), { force: true });
+    store.remove(item.id);
+    res.json({ ok: true, removedId: item.id });
+}));
+
+function runUploadGc(dryRun = false) {
+    return collectGarbage({
+        store,
+        tracker: uploads,
+        uploadDir: UPLOAD_DIR,
+        graceMs: UPLOAD_GC_GRACE_HOURS * 3600 * 1000,
+        dryRun,
+    });
+}
+
+// ручний запуск (адмін); ?dryRun=true — лише звіт
+api.describe("post /admin/uploads/gc", {
+    tags: ["uploads"],
+    summary: "Collect orphaned upload files",
+    auth: "admin",
+    query: { dryRun: { description: "Only report", schema: { type: "boolean" } } },
+    responses: {
+        200: {
+            type: "object",
+            additionalProperties: false,
+            properties: { marked: int(), removed: int(), files: { type: "array", items: { type: "string" } }, bytes: int() },
+            required: ["marked", "removed", "files", "bytes"],
+        },
+    },
+});
+app.post("/admin/uploads/gc", serialized(authorize("moderate", "upload"), (req, res) => {
+    res.json(runUploadGc(req.query.dryRun === "true"));
+}));
+
+/* -------------------------------- backups --------------------------------- */
+const BACKUP_INTERVAL_HOURS = parseFloat(process.env.BACKUP_INTERVAL_HOURS || "24");
+const backups = createBackups({
+    dataDir: DATA_DIR,
+    uploadDir: UPLOAD_DIR,
+    keep: parseInt(process.env.BACKUP_KEEP || "7", 10),
+});
+
+// маніфест без переліку файлів — у списку він лише заважає
+const projectBackup = ({ uploads: files, ...m }) => ({
+    ...m,
+    uploads: files.length,
+    uploadBytes: files.reduce((sum, f) => sum + f.size, 0),
+});
+
+/**
+ * meta -> (item) -> errors[]: item — за itemSchema, payload відомих kind'ів —
+ * за їхньою схемою. Зареєстровані адміном kind'и беремо з meta.collections
+ * цього ж стану (знімка), вбудовані — з коду. Item без kind — лише itemSchema.
+ */
+function snapshotValidator(meta) {
+    const saved = createRegistry({ ajv, store: { meta: () => meta } });
+    saved.load();
+    const defFor = (kind) => (collections.get(kind)?.builtin ? collections.get(kind) : saved.get(kind));
+
+    return (item) => {
+        if (!validateItem(item)) return formatAjvErrors(validateItem.errors);
+        const def = defFor(item.payload.kind);
+        if (!def) return [];
+        // authorToken ще не перенесено в акаунт (adoptLegacyOwners при старті) — перевіряємо як з власником
+        let payload = item.payload;
+        if (typeof payload.authorToken === "string" && payload[def.ownerField] === undefined) {
+            const { authorToken, ...rest } = payload;
+            payload = { ...rest, [def.ownerField]: randomUUID() };
+        }
+        return def.validate(payload) ? [] : formatAjvErrors(def.validate.errors);
+    };
+}
+
+function validateSnapshot(db) {
+    const check = snapshotValidator(db.meta);
+    const errors = [];
+    const ids = new Set();
+    for (const item of db.items) {
+        const itemId = item?.id ?? null;
+        errors.push(...check(item).map((e) => ({ itemId, ...e })));
+        if (ids.has(itemId)) errors.push({ itemId, field: "id", message: "Duplicate item id", code: "unique" });
+        ids.add(itemId);
+    }
+    return errors;
+}
+
+// знімок зник між перевірками (видалили вручну чи ротацією)
+function snapshotGone(res, id) {
+    return res.status(404).json({
+        error: "Not found",
+        errors: [{ field: "backupId", message: `Snapshot ${id} no longer exists`, code: "not_found" }],
+    });
+}
+
+function findBackup(req, res) {
+    const manifest = backups.get(req.params.backupId);
+    if (!manifest) res.status(404).json({ error: "Not found" });
+    return manifest;
+}
+
+const backupFields = {
+    id: { type: "string" },
+    createdAt: { type: "string" },
+    reason: { type: "string" },
+    engine: { type: "string" },
+    items: int(),
+};
+const BACKUP_SUMMARY = api.schema("BackupSummary", {
+    type: "object",
+    additionalProperties: false,
+    properties: { ...backupFields, uploads: int(), uploadBytes: int() },
+    required: ["id", "createdAt", "reason", "engine", "items", "uploads", "uploadBytes"],
+});
+const restoreReport = {
+    restoredFrom: { type: "string" },
+    items: int(),
+    uploads: {
+        type: "object",
+        additionalProperties: false,
+        properties: { restored: int(), missing: { type: "array", items: { type: "string" } } },
+        required: ["restored", "missing"],
+    },
+    migrations: {
+        type: "object",
+        additionalProperties: false,
+        properties: { from: int(1), to: int(1), quarantined: int() },
+        required: ["from", "to", "quarantined"],
+    },
+};
+const backupTags = ["backups"];
+
+api.describe("get /admin/backups", {
+    tags: backupTags,
+    summary: "Snapshots, newest first",
+    auth: "admin",
+    responses: {
+        200: {
+            type: "object",
+            additionalProperties: false,
+            properties: { data: { type: "array", items: BACKUP_SUMMARY }, total: int() },
+            required: ["data", "total"],
+        },
+    },
+});
+app.get("/admin/backups", authorize("read", "backup"), (_req, res) => {
+    const data = backups.list().map(projectBackup);
+    res.json({ data, total: data.length });
+});
+
+api.describe("post /admin/backups", { tags: backupTags, summary: "Take a snapshot now", auth: "admin", responses: { 201: BACKUP_SUMMARY } });
+app.post("/admin/backups", serialized(authorize("create", "backup"), (_req, res) => {
+    res.status(201).json(projectBackup(backups.create(store, "manual")));
+}));
+
+api.describe("get /admin/backups/:backupId", {
+    tags: backupTags,
+    summary: "Snapshot manifest with its upload files",
+    auth: "admin",
+    responses: {
+        200: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                ...backupFields,
+                uploads: {
+                    type: "array",
+                    items: {
+                        type: "object",
+                        additionalProperties: false,
+                        properties: { name: { type: "string" }, size: int(), sha256: { type: "string" } },
+                        required: ["name", "size", "sha256"],
+                    },
+                },
+            },
+            required: ["id", "createdAt", "reason", "engine", "items", "uploads"],
+        },
+    },
+});
+app.get("/admin/backups/:backupId", authorize("read", "backup"), (req, res) => {
+    const manifest = findBackup(req, res);
+    if (manifest) res.json(manifest);
+});
+
+api.describe("get /admin/backups/:backupId/archive", {
+    tags: backupTags,
+    summary: "Download a snapshot as .tar.gz",
+    auth: "admin",
+    responses: { 200: { content: "application/gzip", description: "tar.gz with manifest.json, db.json and uploads/" } },
+});
+app.get("/admin/backups/:backupId/archive", authorize("read", "backup"), (req, res) => {
+    const manifest = findBackup(req, res);
+    if (!manifest) return;
+    res.setHeader("Content-Type", "application/gzip");
+    res.setHeader("Content-Disposition", `attachment; filename="backup-${manifest.id}.tar.gz"`);
+    backups.archive(manifest.id, res, (err) => err && console.error("backups: archive failed:", err));
+});
+
+api.describe("delete /admin/backups/:backupId", { tags: backupTags, summary: "Delete a snapshot", auth: "admin", responses: { 200: REMOVED } });
+app.delete("/admin/backups/:backupId", serialized(authorize("delete", "backup"), (req, res) => {
+    const manifest = findBackup(req, res);
+    if (!manifest) return;
+    backups.remove(manifest.id);
+    res.json({ ok: true, removedId: manifest.id });
+}));
+
+/**
+ * Відновлення: міграції старішого знімка до поточної версії -> перевірка
+ * всього знімка -> знімок поточного стану (pre-restore) -> файли uploads ->
+ * заміна БД. Невалідний знімок не чіпає нічого (422). ?dryRun=true — лише звіт.
+ */
+api.describe("post /admin/backups/:backupId/restore", {
+    tags: backupTags,
+    summary: "Restore a snapshot (a pre-restore snapshot is taken first)",
+    auth: "admin",
+    query: { dryRun: { description: "Only validate and report", schema: { type: "boolean" } } },
+    responses: {
+        200: {
+            type: "object",
+            additionalProperties: false,
+            properties: { ok: { const: true }, dryRun: { const: true }, ...restoreReport, preRestoreBackup: { type: "string" } },
+            required: ["ok", "items", "uploads", "migrations"],
+        },
+        422: {
+            description: "The snapshot is unreadable or fails validation; nothing was changed",
+            ...ref("Error"),
+        },
+    },
+});
+app.post("/admin/backups/:backupId/restore", serialized(authorize("update", "backup"), (req, res) => {
+    const manifest = findBackup(req, res);
+    if (!manifest) return;
+    const dryRun = req.query.dryRun === "true";
 
-        const publicUrl = `/uploads/${req.file.filename}`;
-        res.json({
-            url: publicUrl,
-            size: req.file.size,
-            type: req.file.mimetype,
-            name: req.file.originalname,
+    let db;
+    try {
+        db = backups.read(manifest.id);
+    } catch (err) {
+        return res.status(422).json({
+            error: "Snapshot is unreadable",
+            errors: [{ field: "snapshot", message: String(err.message || err), code: "corrupt" }],
         });
+    }
+    if (!db) return snapshotGone(res, manifest.id);
+    let migrated;
+    try {
+        migrated = migrator.run(db);
     } catch (err) {
-        res.status(400).json({
-            error: String(err.message || err),
-            errors: [{ field: "image", message: String(err.message || err), code: "upload" }],
+        return res.status(422).json({
+            error: "Snapshot migration failed",
+            errors: [{ field: "snapshot", message: String(err.message || err), code: "migration" }],
         });
     }
+    db = migrated.db;
+    const errors = validateSnapshot(db);
+    if (errors.length)
+        return res.status(422).json({ error: "Snapshot failed validation", total: errors.length, errors: errors.slice(0, 100) });
+
+    const files = backups.restoreUploads(manifest.id, { dryRun: true });
+    if (!files) return snapshotGone(res, manifest.id);
+    const migrations = { from: migrated.from, to: migrated.to, quarantined: migrated.quarantined.length };
+    if (dryRun) return res.json({ ok: true, dryRun, items: db.items.length, uploads: files, migrations });
+
+    // ротація не має видалити знімок, з якого відновлюємось (найстаріший при BACKUP_KEEP)
+    const safety = backups.create(store, "pre-restore", { protect: manifest.id });
+    if (!backups.restoreUploads(manifest.id)) return snapshotGone(res, manifest.id);
+    quarantine.add(migrated.quarantined);
+    store.replace(db);
+    collections.load();
+    users.adoptLegacyOwners((kind) => collections.get(kind));
+    searchIndex.rebuild(store.all());
+    res.json({ ok: true, restoredFrom: manifest.id, items: db.items.length, uploads: files, migrations, preRestoreBackup: safety.id });
+}));
+
+/* ------------------------------- migrations ------------------------------- */
+// migrations/NNN-name.js; meta.version — версія даних (1 — початкова)
+const migrator = createMigrator({ dir: path.join(__dirname, "migrations") });
+const quarantine = createQuarantine({ dataDir: DATA_DIR });
+
+/**
+ * Старт сервера: meta.version відстає — міграції над копією стану,
+ * невалідні після них items — у карантин, знімок перед заміною.
+ * dryRun лише повертає звіт.
+ */
+function runMigrations({ dryRun = false } = {}) {
+    const report = migrator.run({ items: store.all(), meta: store.meta() }, { validator: snapshotValidator });
+    if (!report.applied.length || dryRun) return report;
+
+    report.backup = backups.create(store, "pre-migration").id;
+    quarantine.add(report.quarantined);
+    store.replace(report.db);
+    collections.load();
+    return report;
+}
+
+const migrationSummary = ({ from, to, applied, quarantined, backup }) => ({
+    from,
+    to,
+    applied,
+    quarantined: quarantined.map((q) => ({ id: q.item?.id ?? null, kind: q.item?.payload?.kind ?? null, reason: q.reason, errors: q.errors })),
+    ...(backup ? { backup } : {}),
+});
+
+const migrationRef = (extra = {}) => ({
+    type: "object",
+    properties: { version: int(2), name: { type: "string" }, ...extra },
+    required: ["version", "name", ...Object.keys(extra)],
+});
+api.describe("get /admin/migrations", {
+    tags: ["migrations"],
+    summary: "Data version, pending and applied migrations, quarantine",
+    auth: "admin",
+    responses: {
+        200: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                version: int(1),
+                latest: int(1),
+                pending: { type: "array", items: migrationRef({ description: { type: "string" } }) },
+                applied: { type: "array", items: migrationRef({ appliedAt: { type: "string" } }) },
+                quarantine: {
+                    type: "array",
+                    items: {
+                        type: "object",
+                        properties: {
+                            item: {},
+                            reason: { type: "string" },
+                            errors: { type: "array" },
+                            migration: nullable({ type: "string" }),
+                            at: { type: "string" },
+                        },
+                        required: ["item", "reason", "errors", "migration", "at"],
+                    },
+                },
+            },
+            required: ["version", "latest", "pending", "applied", "quarantine"],
+        },
+    },
+});
+app.get("/admin/migrations", authorize("read", "migration"), (_req, res) => {
+    const version = store.meta().version || 1;
+    res.json({
+        version,
+        latest: migrator.latest,
+        pending: migrator.pending(version).map(({ version: v, name, description }) => ({ version: v, name, description })),
+        applied: store.meta().migrations || [],
+        quarantine: quarantine.list(),
+    });
+});
+
+/* ----------------------------- import / export ---------------------------- */
+// переносяться лише items зареєстрованих kind'ів; повна копія всього стану — /admin/backups
+const IMPORT_MAX_MB = parseFloat(process.env.IMPORT_MAX_MB || "20");
+// рядків імпорту на один запис у сховище (json: один перезапис db.json на пачку)
+const IMPORT_CHUNK = 500;
+const ITEM_COLUMNS = ["id", "createdAt", "updatedAt", "version", "status", "deletedAt"];
+
+// колонки CSV: службові поля item + властивості схеми payload (kind задає ?kind=)
+const csvColumns = (def) => [...ITEM_COLUMNS, ...Object.keys(def.schema.properties).filter((f) => f !== "kind")];
+
+function csvValues(def, item) {
+    return csvColumns(def).map((c) => {
+        if (c === "status") return item.moderation?.status ?? null;
+        return ITEM_COLUMNS.includes(c) ? item[c] : item.payload[c];
+    });
+}
+
+// тип клітинки — зі схеми властивості (для anyOf — перший не-null); "" — поля немає
+function fromCsvCell(prop = {}, cell) {
+    if (cell === "") return undefined;
+    const type = prop.type || (prop.anyOf || []).map((p) => p.type).find((t) => t && t !== "null");
+    if (type === "integer" || type === "number") return Number.isNaN(Number(cell)) ? cell : Number(cell);
+    if (type === "boolean") return cell === "true" ? true : cell === "false" ? false : cell;
+    if (type === "object" || type === "array") {
+        try {
+            return JSON.parse(cell);
+        } catch {
+            return cell; // схема поверне помилку типу
+        }
+    }
+    return cell;
+}
+
+function csvRecord(def, header, cells) {
+    const record = { payload: { kind: def.kind } };
+    header.forEach((col, i) => {
+        const cell = cells[i] ?? "";
+        if (!ITEM_COLUMNS.includes(col)) {
+            const value = fromCsvCell(def.schema.properties[col], cell);
+            if (value !== undefined) record.payload[col] = value;
+        } else if (cell === "") {
+            return;
+        } else if (col === "status") {
+            record.moderation = { status: cell, reason: null, by: null, at: new Date().toISOString() };
+        } else {
+            record[col] = col === "version" ? Number(cell) : cell;
+        }
+    });
+    return record;
+}
+
+const parseQueryDate = (v) => (v === undefined || v === "" ? null : Number.isNaN(Date.parse(v)) ? NaN : new Date(v).toISOString());
+
+// ?kind=a,b&from=&to= (createdAt) -> { defs, from, to } або { errors }
+function transferFilter(query) {
+    const errors = [];
+    const names = String(query.kind || "").split(",").map((k) => k.trim()).filter(Boolean);
+    const defs = names.length ? names.map((k) => collections.get(k)) : collections.list();
+    names.forEach((k, i) => {
+        if (!defs[i]) errors.push({ field: "kind", message: `Collection "${k}" is not registered`, code: "not_found" });
+    });
+    const from = parseQueryDate(query.from);
+    const to = parseQueryDate(query.to);
+    if (Number.isNaN(from)) errors.push({ field: "from", message: "must be a date (ISO 8601)", code: "format" });
+    if (Number.isNaN(to)) errors.push({ field: "to", message: "must be a date (ISO 8601)", code: "format" });
+    return errors.length ? { errors } : { defs, from, to };
+}
+
+/**
+ * NDJSON — item на рядок як є (з м'яко видаленими); CSV — один kind,
+ * колонки зі схеми. ?kind=comment,userCard&from=2024-01-01&to=...
+ */
+const transferQuery = {
+    kind: "Comma-separated kinds (CSV: exactly one)",
+    from: { description: "createdAt from (ISO 8601, inclusive)", schema: { type: "string", format: "date-time" } },
+    to: { description: "createdAt before (ISO 8601)", schema: { type: "string", format: "date-time" } },
+};
+api.describe("get /export", {
+    tags: ["data"],
+    summary: "Export items as NDJSON (full items) or CSV (one kind)",
+    auth: "admin",
+    query: { format: { schema: { enum: ["ndjson", "csv"] } }, ...transferQuery },
+    responses: { 200: { content: ["application/x-ndjson", "text/csv"], description: "Attachment" } },
+});
+app.get("/export", authorize("read", "data"), (req, res) => {
+    const format = String(req.query.format || "ndjson");
+    const filter = transferFilter(req.query);
+    if (!filter.errors && !["ndjson", "csv"].includes(format))
+        filter.errors = [{ field: "format", message: "must be one of: ndjson, csv", code: "enum" }];
+    if (!filter.errors && format === "csv" && filter.defs.length !== 1)
+        filter.errors = [{ field: "kind", message: "CSV export needs exactly one kind", code: "required" }];
+    if (filter.errors) return res.status(400).json({ error: "Invalid query", errors: filter.errors });
+
+    const { defs, from, to } = filter;
+    const items = defs
+        .flatMap((def) => store.byKind(def.kind))
+        .filter((i) => (!from || i.createdAt >= from) && (!to || i.createdAt < to))
+        .sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1));
+
+    function* lines() {
+        if (format === "csv") {
+            yield csvRow(csvColumns(defs[0]));
+            for (const i of items) yield csvRow(csvValues(defs[0], i));
+        } else {
+            for (const i of items) yield JSON.stringify(i) + "\n";
+        }
+    }
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="export-${stamp}.${format}"`);
+    pipeline(Readable.from(lines()), res, (err) => err && console.error("export failed:", err));
+});
+
+/**
+ * Один запис імпорту -> { result: created | updated | skipped } або { errors }.
+ * Відсутні id / дати / version заповнюються (засів staging), далі normalize,
+ * itemSchema і схема payload kind'а. def.check (каталог, власник upload'а)
+ * не застосовується: це перенесення даних, а не дія користувача.
+ */
+function importRecord(record, { mode, dryRun, by }) {
+    if (!record || typeof record !== "object" || Array.isArray(record))
+        return { errors: [{ field: "item", message: "must be an object", code: "type" }] };
+    const now = new Date().toISOString();
+    // upsert продовжує історію наявного item'а: версія +1 (інакше If-Match/ETag
+    // клієнтів збіглися б зі старим станом), createdAt — з запису або наявний
+    const existing = typeof record.id === "string" ? store.get(record.id) : null;
+    const item = existing
+        ? { createdAt: existing.createdAt, ...record, version: itemVersion(existing) + 1 }
+        : { id: randomUUID(), createdAt: now, version: 1, ...record };
+    if (item.updatedAt === undefined) item.updatedAt = existing ? now : item.createdAt;
+
+    const def = collections.get(item.payload?.kind);
+    if (!def)
+        return { errors: [{ field: "kind", message: `Collection "${item.payload?.kind}" is not registered`, code: "not_found" }] };
+    if (def.normalize) item.payload = def.normalize(item.payload);
+    if (!validateItem(item)) return { errors: formatAjvErrors(validateItem.errors) };
+    if (!def.validate(item.payload)) return { errors: formatAjvErrors(def.validate.errors) };
+
+    if (existing && existing.payload?.kind !== def.kind)
+        return { errors: [{ field: "id", message: "Id belongs to an item of another kind", code: "conflict" }] };
+    if (existing && mode === "skip") return { result: "skipped" };
+    if (!dryRun) {
+        if (existing) {
+            store.update(item);
+            revisions.record(existing, item, { action: "import", by });
+        } else {
+            store.insert(item);
+        }
+    }
+    return { result: existing ? "updated" : "created" };
+}
+
+/**
+ * Тіло — NDJSON (application/x-ndjson) або CSV (text/csv, потрібен ?kind=).
+ * ?mode=skip (типово: наявні id не чіпаємо) | upsert; ?dryRun=true — лише звіт.
+ * Невдалі рядки (і пачки, які не вдалось записати) не зупиняють імпорт:
+ * errors[] — { line, id, errors } як у formatAjvErrors.
+ */
+api.describe("post /import", {
+    tags: ["data"],
+    summary: "Import items from NDJSON or CSV",
+    auth: "admin",
+    query: {
+        format: { description: "Default: by Content-Type", schema: { enum: ["ndjson", "csv"] } },
+        kind: "Kind of CSV rows",
+        mode: { description: "skip (default) keeps existing ids, upsert replaces them", schema: { enum: ["skip", "upsert"] } },
+        dryRun: { description: "Only validate and report", schema: { type: "boolean" } },
+    },
+    body: { content: ["application/x-ndjson", "text/csv"] },
+    responses: {
+        200: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                ok: { type: "boolean" },
+                dryRun: { type: "boolean" },
+                mode: { enum: ["skip", "upsert"] },
+                created: int(),
+                updated: int(),
+                skipped: int(),
+                failed: int(),
+                errors: {
+                    type: "array",
+                    items: {
+                        type: "object",
+                        additionalProperties: false,
+                        properties: { line: int(1), id: {}, errors: { type: "array", items: FIELD_ERROR } },
+                        required: ["line", "id", "errors"],
+                    },
+                },
+            },
+            required: ["ok", "dryRun", "mode", "created", "updated", "skipped", "failed", "errors"],
+        },
+    },
+});
+app.post(
+    "/import",
+    authorize("create", "data"),
+    express.text({ type: () => true, limit: `${IMPORT_MAX_MB}mb` }),
+    serialized((req, res) => {
+        const isCsv = req.query.format ? req.query.format === "csv" : req.is("text/csv") === "text/csv";
+        const mode = req.query.mode || "skip";
+        const dryRun = req.query.dryRun === "true";
+        const errors = [];
+        if (typeof req.body !== "string" || !req.body.trim())
+            errors.push({ field: "body", message: "Send NDJSON (application/x-ndjson) or CSV (text/csv)", code: "required" });
+        if (!["skip", "upsert"].includes(mode)) errors.push({ field: "mode", message: "must be one of: skip, upsert", code: "enum" });
+        const def = isCsv && collections.get(String(req.query.kind || ""));
+        if (isCsv && !def) errors.push({ field: "kind", message: "CSV import needs ?kind= of a registered collection", code: "required" });
+        if (errors.length) return res.status(400).json({ error: "Invalid import", errors });
+
+        // [{ line, record }] або [{ line, errors }] для рядків, що не розібрались
+        let records;
+        if (isCsv) {
+            let rows;
+            try {
+                rows = parseCsv(req.body);
+            } catch (err) {
+                return res.status(400).json({ error: "Invalid CSV", errors: [{ field: "body", message: err.message, code: "csv" }] });
+            }
+            const [header, ...data] = rows;
+            records = data.map((cells) => ({ line: cells.line, record: csvRecord(def, header || [], cells) }));
+        } else {
+            records = req.body.split("\n").flatMap((text, n) => {
+                if (!text.trim()) return [];
+                try {
+                    return [{ line: n + 1, record: JSON.parse(text) }];
+                } catch (err) {
+                    return [{ line: n + 1, errors: [{ field: "line", message: `Invalid JSON: ${err.message}`, code: "json" }] }];
+                }
+            });
+        }
+
+        const report = { created: 0, updated: 0, skipped: 0, failed: 0 };
+        const failures = [];
+        const by = requesterId(req) || null;
+        // пачка рядків — один запис у сховище; якщо він не вдався, не збережено жоден рядок пачки
+        for (let i = 0; i < records.length; i += IMPORT_CHUNK) {
+            const chunk = records.slice(i, i + IMPORT_CHUNK);
+            let results;
+            try {
+                results = store.batch(() =>
+                    chunk.map((r) => (r.errors ? { errors: r.errors } : importRecord(r.record, { mode, dryRun, by }))));
+            } catch (err) {
+                console.error(`import: rows ${chunk[0].line}-${chunk[chunk.length - 1].line} not saved:`, err);
+                const notSaved = [{ field: "item", message: "Not saved: storage write failed", code: "write" }];
+                results = chunk.map((r) => ({ errors: r.errors || notSaved }));
+            }
+            chunk.forEach(({ line, record }, n) => {
+                const r = results[n];
+                if (r.errors) {
+                    report.failed++;
+                    failures.push({ line, id: record?.id ?? null, errors: r.errors });
+                } else {
+                    report[r.result]++;
+                }
+            });
+        }
+        res.json({ ok: report.failed === 0, dryRun, mode, ...report, errors: failures.slice(0, 100) });
+    })
+);
+
+// копія власних даних: items усіх kind'ів, завантаження, реакції, посилання, скарги
+const arrayOf = (properties, required = Object.keys(properties)) => ({
+    type: "array",
+    items: { type: "object", additionalProperties: false, properties, required },
+});
+api.describe("get /auth/me/export", {
+    tags: ["auth"],
+    summary: "Download everything stored about the current account",
+    auth: "user",
+    responses: {
+        200: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                exportedAt: { type: "string" },
+                account: USER,
+                // власні дані — payload повністю, не публічна проєкція
+                items: arrayOf({
+                    id: { type: "string" },
+                    createdAt: { type: "string" },
+                    updatedAt: { type: "string" },
+                    version: int(1),
+                    status: MODERATION_STATUS,
+                    deletedAt: nullable({ type: "string" }),
+                    payload: { type: "object", required: ["kind"] },
+                }),
+                uploads: { type: "array", items: UPLOAD },
+                reactions: arrayOf({ itemId: { type: "string" }, kind: { type: "string" }, type: { type: "string" } }),
+                shares: arrayOf(
+                    { ...shareResponse(false).properties, targetId: { type: "string" }, targetKind: { type: "string" } }
+                ),
+                reports: arrayOf({
+                    id: { type: "string" },
+                    createdAt: { type: "string" },
+                    targetId: { type: "string" },
+                    targetKind: { type: "string" },
+                    reason: { enum: REPORT_REASONS },
+                    message: nullable({ type: "string" }),
+                    status: { type: "string" },
+                }),
+            },
+            required: ["exportedAt", "account", "items", "uploads", "reactions", "shares", "reports"],
+        },
+    },
+});
+app.get("/auth/me/export", (req, res) => {
+    if (!req.user) return unauthorized(res);
+    const me = req.user.id;
+
+    const items = [];
+    const reactions = [];
+    for (const def of collections.list()) {
+        for (const i of store.byKind(def.kind)) {
+            if (i.payload[def.ownerField] === me)
+                items.push({
+                    id: i.id,
+                    createdAt: i.createdAt,
+                    updatedAt: i.updatedAt,
+                    version: itemVersion(i),
+                    status: moderationStatus(i),
+                    deletedAt: i.deletedAt || null,
+                    payload: i.payload,
+                });
+            for (const [type, ids] of Object.entries(i.reactions || {}))
+                if (ids.includes(me)) reactions.push({ itemId: i.id, kind: def.kind, type });
+        }
+    }
+    const reports = store
+        .byKind("report")
+        .filter((r) => r.payload.reporterId === me)
+        .map(({ id, createdAt, payload: { targetId, targetKind, reason, message, status } }) => ({ id, createdAt, targetId, targetKind, reason, message, status }));
+
+    res.setHeader("Content-Disposition", `attachment; filename="my-data-${new Date().toISOString().slice(0, 10)}.json"`);
+    res.json({
+        exportedAt: new Date().toISOString(),
+        account: publicUser(req.user),
+        items,
+        uploads: store.byKind("upload").filter((u) => u.payload.authorId === me).map(projectUpload),
+        reactions,
+        // без токенів — їх немає і в БД
+        shares: store
+            .byKind("share")
+            .filter((s) => s.payload.createdBy === me)
+            .map((s) => ({ ...projectShare(s), targetId: s.payload.targetId, targetKind: s.payload.targetKind })),
+        reports,
+    });
 });
 
 /* ------------------------------ OMDb proxy ------------------------------- */
+// кеш переживає рестарт (DATA_DIR/omdb-cache.json) і береже денну квоту ключа
+const omdb = createOmdbClient({
+    fetchFn,
+    baseUrl: process.env.OMDB_BASE_URL || "https://www.omdbapi.com/",
+    apiKey: process.env.OMDB_API_KEY,
+    timeoutMs: parseInt(process.env.OMDB_TIMEOUT_MS || "5000", 10),
+    ttlSec: parseInt(process.env.OMDB_CACHE_TTL || String(86400), 10),           // 1 день
+    staleSec: parseInt(process.env.OMDB_CACHE_STALE || String(7 * 86400), 10),   // ще 7 днів як STALE
+    maxEntries: parseInt(process.env.OMDB_CACHE_MAX || "5000", 10),
+    cacheFile: path.join(DATA_DIR, "omdb-cache.json"),
+});
+
+api.describe("get /proxy/omdb", {
+    tags: ["movies"],
+    summary: "OMDb search (q) or details (i), cached; results fill the local catalog",
+    query: {
+        q: "Title search (required unless i is given)",
+        i: "imdbID for details",
+        page: { schema: int(1) },
+        type: { schema: { enum: ["movie", "series", "episode"] } },
+        y: "Year",
+        stats: { description: "With i: add our rating stats", schema: { type: "boolean" } },
+    },
+    // відповідь OMDb як є (Search / Title / ...), лише stats — наше
+    responses: { 200: { type: "object", properties: { stats: MOVIE_STATS } } },
+});
 app.get("/proxy/omdb", async (req, res) => {
     try {
-        const API_KEY = process.env.OMDB_API_KEY;
-        if (!API_KEY)
+        if (!process.env.OMDB_API_KEY)
             return res.status(500).json({
                 error: "Server missing OMDB_API_KEY",
                 errors: [{ field: "server", message: "OMDB_API_KEY is not set", code: "env" }],
@@ -543,34 +3286,42 @@ app.get("/proxy/omdb", async (req, res) => {
         const type = (req.query.type || "").toString().trim();
         const y = (req.query.y || "").toString().trim();
 
-        const url = new URL("https://www.omdbapi.com/");
-        url.searchParams.set("apikey", API_KEY);
+        if (!i && !q)
+            return res.status(400).json({
+                error: "Parameter 'q' is required unless 'i' provided",
+                errors: [{ field: "q", message: "Search query is required", code: "required" }],
+            });
 
-        if (i) {
-            url.searchParams.set("i", i);
-            url.searchParams.set("plot", "full");
-        } else {
-            if (!q)
-                return res.status(400).json({
-                    error: "Parameter 'q' is required unless 'i' provided",
-                    errors: [{ field: "q", message: "Search query is required", code: "required" }],
-                });
-            url.searchParams.set("s", q);
-            url.searchParams.set("page", String(page));
-            if (type) url.searchParams.set("type", type);
-            if (y) url.searchParams.set("y", y);
+        let result;
+        try {
+            result = await omdb.lookup(i ? { i } : { s: q, page, type, y });
+        } catch (err) {
+            if (!err.status) throw err;
+            return res
+                .status(err.status)
+                .json({ error: err.message, errors: [{ field: "omdb", message: err.message, code: err.code }] });
         }
 
-        const r = await fetchFn(url.toString());
-        if (!r.ok)
-            return res
-                .status(r.status)
-                .json({ error: `OMDb responded ${r.status}`, errors: [{ field: "omdb", message: `HTTP ${r.status}`, code: "upstream" }] });
+        res.set("X-Cache", result.cache);
+        res.set("Age", String(result.age));
+        res.set("Cache-Control", `public, max-age=${result.maxAge}`);
 
-        const data = await r.json();
+        const data = { ...result.data };
         if (data.Response === "False")
             return res.status(404).json({ error: data.Error || "Not found", errors: [{ field: "q", message: data.Error || "Not found", code: "not_found" }] });
 
+        // кожна вдала відповідь поповнює локальний каталог (/movies/:imdbID);
+        // сторінка пошуку — до 10 фільмів — зберігається одним записом
+        await writeQueue
+            .run(() => store.batch(() => {
+                if (i) catalog.remember(data);
+                else for (const m of data.Search || []) catalog.remember(m, { partial: true });
+            }))
+            .catch((err) => console.warn(`catalog: ${err.message}`));
+
+        // ?i=...&stats=true — додаємо наші оцінки до деталей фільму
+        if (i && req.query.stats === "true" && canReadStats(req)) data.stats = ratingStats.get(data.imdbID || i);
+
         res.json(data);
     } catch (err) {
         res.status(500).json({
@@ -581,8 +3332,149 @@ app.get("/proxy/omdb", async (req, res) => {
     }
 });
 
+/* ----------------------------- movie catalog ------------------------------ */
+// видимі запиту items kind'а про фільм; з visibilityField — лише публічні та власні
+function relatedItems(req, kind, imdbID, extra = () => true) {
+    const def = collections.get(kind);
+    if (grantFor(def.permissions, "read", req.role) === "none") return { data: [], total: 0 };
+    const items = store.byKind(kind).filter((i) =>
+        i.payload.imdbID === imdbID &&
+        canView(req, def, i) &&
+        (!def.visibilityField || i.payload[def.visibilityField] === true || isOwnItem(req, def, i)) &&
+        extra(i)
+    );
+    const q = parseListQuery(def, {}, computedFields(def));
+    const { data, total } = runListQuery(items, q, { limit: req.query.limit });
+    return { data: data.map((i) => projectItem(def, i, requesterId(req))), total };
+}
+
+/**
+ * Усе про фільм з локальних даних: запис каталогу, оцінки, публічні картки
+ * та кореневі коментарі (відповіді — через /comments/:id/thread).
+ * Якщо фільму ще немає в каталозі, пробуємо OMDb; без нього відповідаємо тим, що є.
+ */
+const relatedSchema = (def, component) => ({
+    type: "object",
+    additionalProperties: false,
+    properties: { data: { type: "array", items: def ? itemProjectionSchema(def) : ref(component) }, total: int() },
+    required: ["data", "total"],
+});
+api.describe("get /movies/:imdbID", {
+    tags: ["movies"],
+    summary: "Catalog entry, rating stats, public cards and root comments of a movie",
+    query: { limit: { description: "Cards / comments per list", schema: int(1) } },
+    responses: {
+        200: (req) => ({
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                movie: nullable({
+                    type: "object",
+                    additionalProperties: false,
+                    properties: {
+                        imdbID: { type: "string" },
+                        title: nullable({ type: "string" }),
+                        year: nullable({ type: "string" }),
+                        poster: nullable({ type: "string" }),
+                        genres: nullable({ type: "array", items: { type: "string" } }),
+                        type: nullable({ type: "string" }),
+                        updatedAt: { type: "string" },
+                    },
+                    required: ["imdbID", "updatedAt"],
+                }),
+                stats: nullable(MOVIE_STATS),
+                cards: relatedSchema(req && collections.get("userCard"), "UserCard"),
+                comments: relatedSchema(req && collections.get("comment"), "Comment"),
+            },
+            required: ["movie", "stats", "cards", "comments"],
+        }),
+    },
+});
+app.get("/movies/:imdbID", async (req, res) => {
+    const imdbID = req.params.imdbID;
+    let movie = catalog.get(imdbID);
+    if (!movie && process.env.OMDB_API_KEY) {
+        try {
+            const { data } = await omdb.lookup({ i: imdbID });
+            if (data.Response !== "False") movie = await writeQueue.run(() => catalog.remember(data));
+        } catch (err) {
+            console.warn(`catalog: OMDb lookup for ${imdbID} failed: ${err.message}`);
+        }
+    }
+
+    const cards = relatedItems(req, "userCard", imdbID);
+    const comments = relatedItems(req, "comment", imdbID, (i) => !i.payload.parentId);
+    if (!movie && !cards.total && !comments.total)
+        return res.status(404).json({
+            error: "Not found",
+            errors: [{ field: "imdbID", message: `Movie "${imdbID}" is not in the catalog`, code: "not_found" }],
+        });
+
+    res.json({
+        movie: movie ? publicMovie(movie) : null,
+        stats: canReadStats(req) ? ratingStats.get(imdbID) : null,
+        cards,
+        comments,
+    });
+});
+
+/* ------------------------------ openapi.json ------------------------------ */
+api.describe("get /openapi.json", {
+    tags: ["misc"],
+    summary: "This document",
+    responses: { 200: { type: "object", required: ["openapi", "paths"] } },
+});
+app.get("/openapi.json", (_req, res) => {
+    res.json(api.document());
+});
+
 /* ------------------------------- start app -------------------------------- */
+// npm run migrate:dry-run — що зробили б міграції з поточними даними; сервер не стартує
+if (process.argv.includes("--migrate-dry-run")) {
+    ensureDb();
+    store.load();
+    collections.load();
+    console.log(JSON.stringify(migrationSummary(runMigrations({ dryRun: true })), null, 2));
+    process.exit(0);
+}
+
 app.listen(PORT, () => {
     ensureDb();
-    console.log(`JSON DB API is running on http://localhost:${PORT}`);
+    changeLog.load();
+    store.load();
+    collections.load();
+    // спершу authorToken -> authorId: інакше старі коментарі не пройдуть валідацію після міграцій
+    const adopted = users.adoptLegacyOwners((kind) => collections.get(kind));
+    if (adopted.items)
+        console.log(`users: moved ${adopted.items} items from authorToken to ${adopted.accounts} anonymous accounts`);
+    const migrated = runMigrations();
+    if (migrated.applied.length)
+        console.log(`migrations: data v${migrated.from} -> v${migrated.to}, quarantined ${migrated.quarantined.length} items (backup ${migrated.backup})`);
+    else if (migrated.from > migrator.latest)
+        console.warn(`migrations: data version ${migrated.from} is newer than the code (${migrator.latest})`);
+    searchIndex.rebuild(store.all()); // з урахуванням зареєстрованих kind'ів
+    const pruned = revisions.pruneAll();
+    if (pruned) console.log(`history: removed ${pruned} expired revisions`);
+    webhooks.start();
+    if (BACKUP_INTERVAL_HOURS > 0) {
+        setInterval(() => {
+            writeQueue
+                .run(() => backups.create(store, "scheduled"))
+                .then((m) => console.log(`backups: snapshot ${m.id} (${m.items} items, ${m.uploads.length} files)`))
+                .catch((err) => console.error("backups: snapshot failed:", err));
+        }, BACKUP_INTERVAL_HOURS * 3600 * 1000).unref();
+    }
+    if (UPLOAD_GC_INTERVAL_MIN > 0) {
+        setInterval(() => {
+            writeQueue
+                .run(() => runUploadGc())
+                .then((r) => r.files.length && console.log(`uploads: gc removed ${r.files.length} files (${r.bytes} bytes)`))
+                .catch((err) => console.error("uploads: gc failed:", err));
+        }, UPLOAD_GC_INTERVAL_MIN * 60 * 1000).unref();
+    }
+    if (VALIDATE_RESPONSES) {
+        const missing = api.undocumented(app);
+        console.log(`openapi: validating responses${missing.length ? `; routes without a description: ${missing.join(", ")}` : ""}`);
+    }
+    console.log(`JSON DB API is running on http://localhost:${PORT} (storage: ${store.engine})`);
 });